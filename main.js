@@ -6,8 +6,30 @@ const cron = require('node-cron');
 const mongoose = require('mongoose');
 const WhatsAppService = require('./services/whatsapp');
 const TelegramService = require('./services/telegram');
+const EmailService = require('./services/email');
 const ChartService = require('./services/chart');
 const newsChecker = require('./services/newsChecker');
+const webhookAuth = require('./services/webhookAuth');
+const jobStore = require('./services/jobStore');
+const dedup = require('./services/dedup');
+const signalActions = require('./services/signalActions');
+const strategyAlert = require('./services/strategyAlert');
+const { parseTextAlert } = require('./services/textAlertParser');
+const ipFilter = require('./services/ipFilter');
+const signalThrottle = require('./services/signalThrottle');
+const signalRouter = require('./services/signalRouter');
+const appConfig = require('./services/config');
+const outboundQueue = require('./services/outboundQueue');
+const rateLimiter = require('./services/rateLimiter');
+const circuitBreaker = require('./services/circuitBreaker');
+const deadLetters = require('./services/deadLetters');
+const deliveryReceipts = require('./services/deliveryReceipts');
+const fallbackChains = require('./services/fallbackChains');
+const signalHistory = require('./services/signalHistory');
+const signalThreads = require('./services/signalThreads');
+const performance = require('./services/performance');
+const digests = require('./services/digests');
+const { requireAdminToken } = require('./services/adminAuth');
 
 const app = express();
 const PORT = process.env.PORT || 80;
@@ -47,10 +69,27 @@ if (!fs.existsSync(CHARTS_DIR)) {
   log('info', 'Created charts directory', { path: CHARTS_DIR });
 }
 
+// Resolve client IPs through trusted reverse proxies (X-Forwarded-For)
+const TRUST_PROXY = ipFilter.parseTrustProxy(process.env.TRUST_PROXY);
+app.set('trust proxy', TRUST_PROXY);
+
+// IP allowlists - webhooks, health checks and chart images each have their own rule
+const webhookIpFilter = ipFilter.createIpFilter('webhook', process.env.WEBHOOK_IP_ALLOWLIST);
+const healthIpFilter = ipFilter.createIpFilter('health', process.env.HEALTH_IP_ALLOWLIST);
+const chartsIpFilter = ipFilter.createIpFilter('charts', process.env.CHARTS_IP_ALLOWLIST);
+
+// Reject non-allowlisted webhook callers before their body is even parsed
+app.use('/webhook', webhookIpFilter);
+
+// Keep the raw body around so webhook HMAC signatures can be verified
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
 // Middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(express.text({ type: 'text/plain', limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
+app.use(express.text({ type: 'text/plain', limit: '10mb', verify: captureRawBody }));
 
 // Middleware to handle raw JSON that might come without proper content-type
 app.use((req, res, next) => {
@@ -67,16 +106,27 @@ app.use((req, res, next) => {
   next();
 });
 
-// Configuration
-const WHATSAPP_GROUP_ID = process.env.WHATSAPP_TO_NUMBERS;
-const WHATSAPP_GROUPS = process.env.WHATSAPP_GROUPS; // Comma-separated list of group IDs
-
+// Middleware to turn plain-text TradingView alerts into webhook payloads
+app.use('/webhook', (req, res, next) => {
+  if (typeof req.body === 'string' && req.body.trim() && !req.body.trim().startsWith('{')) {
+    const parsed = parseTextAlert(req.body);
+    if (parsed) {
+      log('info', 'Parsed plain-text alert', parsed);
+      req.body = parsed;
+    } else {
+      log('warn', 'Could not parse plain-text alert', { body: req.body });
+    }
+  }
+  next();
+});
 
 // Initialize MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || process.env.MONGO_URI;
 if (MONGODB_URI) {
   mongoose.connect(MONGODB_URI).then(() => {
     log('info', 'MongoDB connected successfully');
+    // Pick up messages that were still queued when the server last stopped
+    return outboundQueue.recover();
   }).catch((error) => {
     log('error', 'MongoDB connection error', { error: error.message });
   });
@@ -96,187 +146,582 @@ if (MONGODB_URI) {
 const whatsappService = new WhatsAppService();
 const telegramService = new TelegramService();
 const chartService = new ChartService();
+const emailService = new EmailService();
 
-// Handle simple text message format
-async function handleTextMessage(req, res) {
-  try {
-    const { msg, symbol } = req.body;
-    
-    // Prepare simple message data
-    const messageData = {
-      msg: msg.trim(),
-      symbol: symbol.trim(),
-      timestamp: formatTurkishDate()
-    };
+// Maximum number of signals accepted by /webhook/batch
+const BATCH_MAX_SIGNALS = parseInt(process.env.BATCH_MAX_SIGNALS, 10) || 50;
 
-    // Get chart image for the symbol
-    let chartImage = null;
-    if (messageData.symbol) {
-      try {
-        const formattedSymbol = chartService.formatSymbol(messageData.symbol);
-        log('info', `Fetching chart for symbol: ${formattedSymbol}`);
-        
-        // Get chart image with basic options
-        const chartOptions = {
-          width: 800,
-          height: 600
-        };
-
-        const chartResult = await chartService.getChartImage(formattedSymbol, chartOptions);
-        if (chartResult && chartResult.buffer) {
-          chartImage = chartResult; // For WhatsApp and Telegram (original buffer)
-
-          log('info', 'Chart image captured successfully', {
-            sessionAuth: chartService.hasSessionAuth(),
-            size: chartResult.buffer.length,
-            contentType: chartResult.contentType,
-          });
-        }
-      } catch (chartError) {
-        log('warn', 'Failed to generate chart image, proceeding without chart', {
-          error: chartError.message,
-          symbol: messageData.symbol,
-          sessionAuth: chartService.hasSessionAuth()
-        });
-      }
+// Keys that are consumed by the webhook itself and never forwarded into messages
+const RECIPIENT_KEYS = ['phonenumber', 'phonenumbers', 'groupid', 'groupids', 'telegram_chat_id', 'telegram_chat_ids'];
+// signal_id only links follow-ups to their entry (see signalThreads)
+const THREAD_KEYS = ['signal_id', 'signalid'];
+const TEXT_EXCLUDED_KEYS = ['msg', 'symbol', ...RECIPIENT_KEYS, ...THREAD_KEYS];
+const SIGNAL_EXCLUDED_KEYS = ['title', 'datetime', 'action', 'symbol', 'price', ...RECIPIENT_KEYS, ...THREAD_KEYS];
+
+// Copy every payload property that isn't in the excluded list
+const pickExtraFields = (body, excludedKeys) => Object.keys(body).reduce((acc, key) => {
+  if (!excludedKeys.includes(key.toLowerCase())) {
+    acc[key] = body[key];
+  }
+  return acc;
+}, {});
+
+/**
+ * Validate a simple text message payload (msg + symbol) and build its signal data
+ * @param {Object} body - Webhook payload
+ * @returns {Object} { type, symbol, signalData } or { error }
+ */
+function buildTextSignal(body) {
+  if (typeof body.msg !== 'string' || !body.msg.trim()) {
+    return { error: 'msg must be a non-empty string' };
+  }
+
+  const symbol = typeof body.symbol === 'string' ? body.symbol.trim() : '';
+
+  // Prepare signal data format for both WhatsApp and Telegram
+  const signalData = {
+    title: body.msg.trim(),
+    datetime: formatTurkishDate(),
+    action: '',
+    symbol,
+    price: '',
+    // Include all other properties from the request body
+    ...pickExtraFields(body, TEXT_EXCLUDED_KEYS)
+  };
+
+  return {
+    type: 'text',
+    symbol,
+    signalData
+  };
+}
+
+/**
+ * Validate a trading signal payload and build its signal data
+ * @param {Object} body - Webhook payload
+ * @returns {Object} { type, symbol, signalData } or { error }
+ */
+function buildTradingSignal(body) {
+  const { title, datetime, symbol, price } = body;
+
+  // Validate required fields and action-specific rules
+  const validationError = signalActions.validateSignalPayload(body);
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  const action = signalActions.normalizeAction(body.action);
+
+  // Prepare signal data - include all properties from request body
+  const signalData = {
+    title: title || appConfig.getConfig().templates.titles[action] || signalActions.getDefaultTitle(action),
+    datetime: datetime || new Date().toISOString(),
+    action,
+    symbol,
+    price: price || '',
+    // Include all other properties from the request body
+    ...pickExtraFields(body, SIGNAL_EXCLUDED_KEYS)
+  };
+
+  return {
+    type: 'signal',
+    symbol,
+    signalData
+  };
+}
+
+/**
+ * Validate any supported webhook payload
+ * @param {Object} body - Webhook payload
+ * @returns {Object} Built signal or { error }
+ */
+function buildSignal(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Webhook payload must be a JSON object or a plain-text alert with symbol and action' };
+  }
+
+  // Check if this is a simple text message format
+  if (body.msg) {
+    return buildTextSignal(body);
+  }
+
+  // Strategy alerts describe position changes instead of a plain action
+  if (strategyAlert.isStrategyAlert(body)) {
+    const mapped = strategyAlert.mapStrategyAlert(body);
+    if (mapped.error) {
+      return { error: mapped.error };
     }
+    log('info', 'Mapped strategy alert', { event: mapped.event, action: mapped.payload.action });
+    return buildTradingSignal(mapped.payload);
+  }
 
-    // Send results tracking
-    const results = {
-      whatsapp: null,
-      telegram: null
-    };
+  return buildTradingSignal(body);
+}
 
-    // Prepare signal data format for both WhatsApp and Telegram
-    const signalData = {
-      title: messageData.msg,
-      datetime: messageData.timestamp,
-      action: '',
-      symbol: messageData.symbol,
-      price: '',
-      // Include all other properties from the request body
-      ...Object.keys(req.body).reduce((acc, key) => {
-        const lowerKey = key.toLowerCase();
-        // Exclude already processed keys
-        if (!['msg', 'symbol', 'phonenumber', 'phonenumbers', 'groupid', 'groupids'].includes(lowerKey)) {
-          acc[key] = req.body[key];
-        }
-        return acc;
-      }, {})
-    };
+// Basic chart options used for every signal
+const CHART_OPTIONS = {
+  width: 800,
+  height: 600
+};
 
-    // Send to WhatsApp (with chart image if available)
-    try {
-      
-      // Save chart image and get URL if available
-      let chartImageUrl = null;
-      if (chartImage) {
-        chartImageUrl = await saveChartImage(chartImage, messageData.symbol);
-        if (chartImageUrl) {
-          log('info', 'Chart image URL generated', { url: chartImageUrl });
-        }
-      }
-      
-      // Send to configured phone number(s)
-      const targetNumbers = ["120363422208338620@g.us", "120363227877129923@g.us"];
-      
-      if (targetNumbers) {
-        // Use the new multi-number compatible method
-        const result = await whatsappService.sendFormattedMessageToPerson(targetNumbers, signalData, chartImageUrl);
-        
-        // Handle both single and multiple number results
-        if (result.total !== undefined) {
-          // Multiple numbers result
-          results.whatsapp = {
-            success: result.success,
-            sentTo: result.succeeded,
-            total: result.total,
-            failed: result.failed,
-            results: result.results
-          };
-        } else {
-          // Single number result (backward compatibility)
-          results.whatsapp = {
-            success: result.success,
-            sentTo: 1,
-            total: 1,
-            phoneNumber: result.phoneNumber,
-            messageId: result.messageId
-          };
-        }
-        
-        log('info', 'Message sent to WhatsApp', {
-          total: results.whatsapp.total,
-          succeeded: results.whatsapp.sentTo,
-          failed: results.whatsapp.failed || 0,
-          hasImage: !!chartImageUrl
-        });
-      } else {
-        throw new Error('No WhatsApp phone number configured');
-      }
-    } catch (whatsappError) {
-      log('error', 'Failed to send to WhatsApp', {
-        error: whatsappError.message
+// Capture a TradingView chart for the symbol, returns null when unavailable
+async function captureChart(symbol) {
+  if (!symbol) {
+    return null;
+  }
+
+  try {
+    const formattedSymbol = chartService.formatSymbol(symbol);
+    log('info', `Fetching chart for symbol: ${formattedSymbol}`);
+
+    const chartResult = await chartService.getChartImage(formattedSymbol, CHART_OPTIONS);
+    if (chartResult && chartResult.buffer) {
+      log('info', 'Chart image captured successfully', {
+        sessionAuth: chartService.hasSessionAuth(),
+        size: chartResult.buffer.length,
+        contentType: chartResult.contentType,
       });
-      results.whatsapp = { success: false, error: whatsappError.message };
+      return chartResult;
     }
+  } catch (chartError) {
+    log('warn', 'Failed to generate chart image, proceeding without chart', {
+      error: chartError.message,
+      symbol,
+      sessionAuth: chartService.hasSessionAuth()
+    });
+  }
+
+  return null;
+}
+
+// Telegram file_id of each uploaded chart, so every chat after the first reuses the upload
+const MAX_CACHED_TELEGRAM_FILE_IDS = 100;
+const telegramChartFileIds = new Map();
+
+// Load a saved chart for Telegram: the cached file_id, the file on disk, or its public URL
+async function loadTelegramChart(chart) {
+  if (!chart) {
+    return null;
+  }
+
+  if (chart.filename && telegramChartFileIds.has(chart.filename)) {
+    return { url: telegramChartFileIds.get(chart.filename) };
+  }
 
-    // Send to Telegram (with chart if available)
+  if (chart.filename) {
     try {
-      await telegramService.sendFormattedMessage(signalData, chartImage);
-      results.telegram = { success: true };
-      log('info', 'Text message sent to Telegram successfully', {
-        chartIncluded: !!chartImage
-      });
-    } catch (telegramError) {
-      log('error', 'Failed to send text to Telegram', {
-        error: telegramError.message
-      });
-      results.telegram = { success: false, error: telegramError.message };
+      const buffer = await fs.promises.readFile(path.join(CHARTS_DIR, chart.filename));
+      return { buffer, contentType: chart.contentType };
+    } catch (error) {
+      log('warn', 'Saved chart not readable, using its URL', { filename: chart.filename, error: error.message });
     }
+  }
 
-    // Check if at least one service succeeded
-    const hasSuccess = results.whatsapp?.success || results.telegram?.success;
-    
-    if (!hasSuccess) {
-      throw new Error('Failed to send text message to both WhatsApp and Telegram');
+  return chart.url ? { url: chart.url } : null;
+}
+
+// Channel senders used by the outbound queue, one destination per call
+// Follow-ups of an entry quote (WhatsApp) or reply to (Telegram) the entry's message in the same chat,
+// scheduled digests carry their content and are rendered for the channel here
+outboundQueue.registerSender('whatsapp', async ({ destination, payload }) => {
+  if (payload.digest) {
+    return whatsappService.sendMessageToPerson(destination, digests.formatDigestMessage('whatsapp', payload.digest));
+  }
+  const message = whatsappService.formatTradingMessage(payload.signalData);
+  const quoted = await signalThreads.getReplyTarget(payload.thread, 'whatsapp', destination);
+  if (payload.chart?.url) {
+    return whatsappService.sendImageToPerson(destination, payload.chart.url, message, { quoted });
+  }
+  return whatsappService.sendMessageToPerson(destination, message, { quoted });
+});
+
+outboundQueue.registerSender('telegram', async ({ destination, payload }) => {
+  if (payload.digest) {
+    return telegramService.sendMessage(digests.formatDigestMessage('telegram', payload.digest), 'HTML', destination);
+  }
+  const chartImage = await loadTelegramChart(payload.chart);
+  const replyToMessageId = await signalThreads.getReplyTarget(payload.thread, 'telegram', destination);
+  const result = await telegramService.sendFormattedMessage(payload.signalData, chartImage, destination, { replyToMessageId });
+
+  if (result.fileId && payload.chart?.filename) {
+    telegramChartFileIds.set(payload.chart.filename, result.fileId);
+    if (telegramChartFileIds.size > MAX_CACHED_TELEGRAM_FILE_IDS) {
+      telegramChartFileIds.delete(telegramChartFileIds.keys().next().value);
     }
+  }
+  return result;
+});
 
-    log('info', 'Text message processed successfully', {
-      msg: messageData.msg,
-      symbol: messageData.symbol,
-      whatsapp: results.whatsapp.success,
-      telegram: results.telegram.success,
-      sentToGroups: results.whatsapp.sentTo || 1,
-    });
+// Email is only used by fallback chains
+outboundQueue.registerSender('email', async ({ destination, payload }) => {
+  if (payload.digest) {
+    return emailService.sendMail(destination, { subject: payload.digest.title, text: digests.formatDigestMessage('email', payload.digest) });
+  }
+  const chartPath = payload.chart?.filename ? path.join(CHARTS_DIR, payload.chart.filename) : null;
+  return emailService.sendFormattedMessage(payload.signalData, chartPath, destination);
+});
 
-    res.status(200).json({
-      success: true,
-      message: 'Text message sent successfully',
-      chartIncluded: !!chartImage,
-      results: {
-        whatsapp: results.whatsapp.success,
-        telegram: results.telegram.success,
-        sentToGroups: results.whatsapp.sentTo || results.whatsapp.total || 1
-      },
-      timestamp: new Date().toISOString()
+const DELIVERY_CHANNELS = ['whatsapp', 'telegram'];
+
+// Report entry of one routed destination, with the fallback destinations tried after it
+function describeDestination(message, fallbackMessages) {
+  const delivered = [message, ...fallbackMessages].find(item => item.status === 'sent');
+  return {
+    destination: message.destination,
+    outboundId: message.messageId,
+    status: message.status,
+    attempts: message.attempts,
+    messageId: message.result?.messageId,
+    error: message.lastError || undefined,
+    deliveredVia: delivered
+      ? { channel: delivered.channel, destination: delivered.destination, fallbackHop: delivered.payload.fallback?.hop || 0 }
+      : null,
+    fallbacks: fallbackMessages.length > 0
+      ? fallbackMessages.map(item => ({
+        channel: item.channel,
+        destination: item.destination,
+        hop: item.payload.fallback.hop,
+        outboundId: item.messageId,
+        status: item.status,
+        messageId: item.result?.messageId,
+        error: item.lastError || undefined
+      }))
+      : undefined
+  };
+}
+
+// Pending refreshes per job: updates of one job run one after another, otherwise two messages
+// settling together would both see the job unfinished and both finish it
+const jobRefreshes = new Map();
+
+/**
+ * Rebuild a job's channel reports from its outbound messages and finish the job
+ * once every message is sent or has failed for good
+ * Refreshes of the same job are serialized
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+function refreshJobDelivery(jobId) {
+  const previous = jobRefreshes.get(jobId) || Promise.resolve();
+  const refresh = previous.catch(() => {}).then(() => rebuildJobDelivery(jobId));
+  jobRefreshes.set(jobId, refresh);
+
+  const cleanup = () => {
+    if (jobRefreshes.get(jobId) === refresh) {
+      jobRefreshes.delete(jobId);
+    }
+  };
+  refresh.then(cleanup, cleanup);
+  return refresh;
+}
+
+async function rebuildJobDelivery(jobId) {
+  const job = await jobStore.getJob(jobId);
+  if (!job) {
+    return;
+  }
+
+  const messages = await outboundQueue.getMessagesForJob(jobId);
+  const updates = {};
+  const reports = {};
+
+  // Fallback messages are reported under the routed destination they stand in for
+  const fallbacksByPrimary = new Map();
+  messages.filter(message => message.payload?.fallback).forEach(message => {
+    const primaryId = message.payload.fallback.primary.outboundId;
+    fallbacksByPrimary.set(primaryId, [...(fallbacksByPrimary.get(primaryId) || []), message]);
+  });
+
+  DELIVERY_CHANNELS.forEach(channel => {
+    const channelMessages = messages.filter(message => message.channel === channel && !message.payload?.fallback);
+    if (channelMessages.length === 0) {
+      return;
+    }
+
+    const destinations = channelMessages.map(message =>
+      describeDestination(message, fallbacksByPrimary.get(message.messageId) || []));
+
+    const succeeded = destinations.filter(entry => entry.status === 'sent').length;
+    const deliveredByFallback = destinations.filter(entry => entry.status !== 'sent' && entry.deliveredVia).length;
+    // Failed for good: neither the destination nor any fallback delivered, and nothing is left to try
+    const failed = destinations.filter(entry => !entry.deliveredVia && entry.status === 'failed' &&
+      (entry.fallbacks || []).every(item => item.status === 'failed')).length;
+    const pending = channelMessages.length - succeeded - deliveredByFallback - failed;
+
+    updates[`channels.${channel}`] = reports[channel] = {
+      status: pending > 0 ? 'sending' : succeeded > 0 ? 'completed' : 'failed',
+      success: succeeded > 0,
+      total: channelMessages.length,
+      succeeded,
+      deliveredByFallback,
+      failed,
+      pending,
+      destinations,
+      updatedAt: new Date()
+    };
+  });
+
+  updates.deliveredVia = [...new Set(messages.filter(message => message.status === 'sent').map(message => message.channel))];
+
+  const settled = messages.every(message => ['sent', 'failed'].includes(message.status));
+  // Replayed dead letters add messages to jobs that already finished
+  const alreadyFinished = ['completed', 'failed'].includes(job.status);
+
+  if (!settled) {
+    await jobStore.updateJob(jobId, updates);
+    await signalHistory.recordDelivery(jobId, reports);
+    return;
+  }
+
+  // Delivered anywhere counts, a fallback channel included
+  const hasSuccess = updates.deliveredVia.length > 0;
+  const completedAt = alreadyFinished ? job.completedAt : new Date();
+
+  await jobStore.updateJob(jobId, {
+    ...updates,
+    status: hasSuccess ? 'completed' : 'failed',
+    error: hasSuccess ? null : 'Failed to send signal to any routed destination',
+    completedAt
+  });
+  await signalHistory.recordDelivery(jobId, reports, completedAt);
+
+  if (alreadyFinished) {
+    return;
+  }
+
+  // A failed alert may be retried by the sender, so don't hold its dedup key
+  if (!hasSuccess) {
+    await dedup.release(job.dedupKey);
+  }
+
+  log(hasSuccess ? 'info' : 'error', hasSuccess ? 'Signal job processed successfully' : 'Signal job failed on every channel', {
+    jobId,
+    type: job.type,
+    symbol: job.signalData?.symbol,
+    action: job.signalData?.action,
+    chartIncluded: job.chart?.status === 'captured',
+    deliveredVia: updates.deliveredVia
+  });
+}
+
+// Message text and image as the channel renders them, kept with dead letters
+function renderOutboundContent({ channel, payload }) {
+  if (payload.digest) {
+    const text = digests.formatDigestMessage(channel, payload.digest);
+    if (channel === 'telegram') {
+      return { text, parseMode: 'HTML', imageUrl: null };
+    }
+    return channel === 'email' ? { subject: payload.digest.title, text, imageUrl: null } : { text, imageUrl: null };
+  }
+  const imageUrl = payload.chart?.url || null;
+  if (channel === 'telegram') {
+    return { text: telegramService.formatTradingViewMessage(payload.signalData), parseMode: 'HTML', imageUrl };
+  }
+  if (channel === 'email') {
+    const { subject, text } = emailService.formatTradingMessage(payload.signalData);
+    return { subject, text, imageUrl };
+  }
+  return { text: whatsappService.formatTradingMessage(payload.signalData), imageUrl };
+}
+
+outboundQueue.onMessageUpdate(async message => {
+  // Out of attempts: queue the next fallback destination first so the job can't finish in
+  // between, then keep the message as a dead letter so an operator can replay it
+  if (message.status === 'failed') {
+    await fallbackChains.escalate(message);
+    await deadLetters.record(message, renderOutboundContent(message));
+  }
+  if (message.jobId) {
+    await refreshJobDelivery(message.jobId);
+  }
+});
+
+/**
+ * Capture the chart and queue one outbound message per routed destination
+ * Delivery, retries and the final job status are handled by the outbound queue
+ * @param {Object} job - Job created by jobStore.createJob
+ * @param {Object} signal - Built signal from buildSignal
+ * @param {Object} options - Processing options
+ * @param {Object|null} options.chartImage - Chart captured beforehand (skips capture when set, even to null)
+ */
+async function processSignalJob(job, signal, options = {}) {
+  const { jobId } = job;
+  const { signalData, symbol, route } = signal;
+
+  await jobStore.updateJob(jobId, { status: 'processing', startedAt: new Date() });
+
+  // Get chart image for the symbol
+  let chartImage;
+  if ('chartImage' in options) {
+    chartImage = options.chartImage;
+  } else {
+    await jobStore.updateJob(jobId, { chart: { status: 'capturing' } });
+    chartImage = await captureChart(symbol);
+  }
+
+  // Saved to disk so WhatsApp can fetch it by URL and queued retries survive a restart
+  const savedChart = chartImage ? await saveChartImage(chartImage, symbol) : null;
+  if (savedChart) {
+    log('info', 'Chart image URL generated', { url: savedChart.url });
+  }
+  const chart = chartImage ? { status: 'captured', url: savedChart?.url || null } : { status: 'unavailable' };
+  await jobStore.updateJob(jobId, { chart });
+
+  const payload = {
+    signalData,
+    chart: savedChart
+  };
+  if (signal.thread?.parentSignalId) {
+    payload.thread = { parentSignalId: signal.thread.parentSignalId };
+  }
+
+  // Keep the chart file and the messages as rendered with the signal's history
+  const messages = DELIVERY_CHANNELS
+    .filter(channel => route[channel].length > 0)
+    .reduce((acc, channel) => {
+      acc[channel] = renderOutboundContent({ channel, payload });
+      return acc;
+    }, {});
+  await signalHistory.update(jobId, {
+    chart: { ...chart, filename: savedChart?.filename || null },
+    messages
+  });
+
+  const items = [];
+  for (const channel of DELIVERY_CHANNELS) {
+    if (route[channel].length === 0) {
+      await jobStore.updateChannel(jobId, channel, { status: 'skipped', reason: `No ${channel} destinations routed` });
+      continue;
+    }
+    route[channel].forEach(destination => items.push({ jobId, channel, destination, payload }));
+  }
+
+  if (items.length === 0) {
+    const completedAt = new Date();
+    await jobStore.updateJob(jobId, {
+      status: 'failed',
+      error: 'No destinations routed for this signal',
+      completedAt
+    });
+    await signalHistory.update(jobId, {
+      deliveryStatus: 'failed',
+      error: 'No destinations routed for this signal',
+      completedAt
     });
+    await dedup.release(job.dedupKey);
+    log('warn', 'Signal job has no destinations', { jobId, route });
+    return;
+  }
 
+  await outboundQueue.enqueue(items);
+  log('info', 'Signal job queued for delivery', { jobId, messages: items.length });
+  await refreshJobDelivery(jobId);
+}
+
+// Process a job, recording unexpected errors on the job instead of throwing
+async function processSignalJobSafely(job, signal, options = {}) {
+  try {
+    await processSignalJob(job, signal, options);
   } catch (error) {
-    log('error', 'Error processing text webhook', {
+    log('error', 'Unexpected error while processing job', {
+      jobId: job.jobId,
       error: error.message,
       stack: error.stack
     });
-
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to process text message'
+    const completedAt = new Date();
+    await jobStore.updateJob(job.jobId, {
+      status: 'failed',
+      error: error.message,
+      completedAt
     });
+    await signalHistory.update(job.jobId, { deliveryStatus: 'failed', error: error.message, completedAt });
+    await dedup.release(job.dedupKey);
   }
 }
 
+// Background work that is still running, awaited during graceful shutdown
+const activeJobs = new Set();
+
+// Run work in the background so the webhook can answer immediately
+function runInBackground(task) {
+  const taskPromise = task().finally(() => activeJobs.delete(taskPromise));
+  activeJobs.add(taskPromise);
+  return taskPromise;
+}
+
+/**
+ * Validate a payload, suppress duplicates and create its job
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object>} One of
+ *   { status: 'invalid', error }
+ *   { status: 'duplicate', jobId, job }
+ *   { status: 'suppressed', reason, retryAfter, message }
+ *   { status: 'accepted', job, signal }
+ */
+async function acceptSignal(payload) {
+  const signal = buildSignal(payload);
+  if (signal.error) {
+    log('warn', 'Invalid webhook payload', { error: signal.error, body: payload });
+    return { status: 'invalid', error: signal.error };
+  }
+
+  // Recipients picked by the payload must be known destinations
+  const overrides = signalRouter.extractOverrides(payload);
+  if (overrides.error) {
+    return { status: 'invalid', error: overrides.error };
+  }
+
+  // Suppress copies of an alert that was already accepted inside the dedup window
+  const dedupKey = dedup.buildKey(payload);
+  const jobId = jobStore.generateJobId();
+  const claim = await dedup.claim(dedupKey, jobId);
+
+  if (!claim.claimed) {
+    log('info', 'Duplicate webhook suppressed', { dedupKey, originalJobId: claim.jobId });
+    return {
+      status: 'duplicate',
+      jobId: claim.jobId,
+      job: await jobStore.getJob(claim.jobId)
+    };
+  }
+
+  // Cooldown per symbol/action and the global rate ceiling
+  const throttle = signalThrottle.checkSignal(signal.signalData);
+  if (!throttle.allowed) {
+    signalThrottle.recordSuppressed(signal.signalData, throttle);
+    await dedup.release(dedupKey);
+    return {
+      status: 'suppressed',
+      reason: throttle.reason,
+      retryAfter: throttle.retryAfter,
+      message: throttle.message
+    };
+  }
+  signalThrottle.recordAccepted(signal.signalData);
+
+  // Pick destinations from the routing rules and payload overrides
+  signal.route = signalRouter.resolveRoute(signal, overrides);
+  log('info', 'Signal routed', signal.route);
+
+  // Link TP/SL/close/update follow-ups to the entry they belong to
+  signal.thread = await signalThreads.resolveThread(signal, payload);
+
+  const job = await jobStore.createJob({
+    jobId,
+    dedupKey,
+    type: signal.type,
+    payload,
+    signalData: signal.signalData,
+    route: signal.route
+  });
+  await signalHistory.record(job, signal.thread);
+  await signalThreads.closePosition(jobId, signal.thread);
+
+  return { status: 'accepted', job, signal };
+}
+
 // Serve chart images
-app.get('/charts/:filename', (req, res) => {
+app.get('/charts/:filename', chartsIpFilter, (req, res) => {
   const filename = req.params.filename;
   const filePath = path.join(CHARTS_DIR, filename);
   
@@ -292,7 +737,7 @@ app.get('/charts/:filename', (req, res) => {
   }
 });
 
-// Helper function to save chart image and return URL
+// Helper function to save chart image, returns { url, filename, contentType } or null
 async function saveChartImage(chartBuffer, symbol) {
   try {
     if (!chartBuffer || !chartBuffer.buffer) {
@@ -313,219 +758,528 @@ async function saveChartImage(chartBuffer, symbol) {
     // Generate public URL
     const imageUrl = `http://65.21.0.145/charts/${filename}`;
     
-    return imageUrl;
+    return { url: imageUrl, filename, contentType: chartBuffer.contentType };
   } catch (error) {
     log('error', 'Failed to save chart image', { error: error.message });
     return null;
   }
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+function getHealthStatus() {
+  const circuits = circuitBreaker.getBreakerStats();
+  const degraded = Object.values(circuits).some(circuit => circuit.state !== circuitBreaker.STATES.CLOSED);
+  return { status: degraded ? 'degraded' : 'healthy', circuits };
+}
+
+// Health check endpoint - public liveness probe, internals are under /admin/health
+app.get('/health', healthIpFilter, (req, res) => {
   res.json({ 
-    status: 'healthy', 
+    status: getHealthStatus().status, 
     timestamp: new Date().toISOString(),
     service: 'TradingView Webhook Server',
     services: {
       whatsapp: whatsappService.validateConfiguration(),
       telegram: telegramService.validateConfiguration(),
-      chart: chartService.validateConfiguration()
+      chart: chartService.validateConfiguration(),
+      email: emailService.validateConfiguration()
     }
   });
 });
 
+// Detailed health - auth, IP filter, throttle, queue and provider stats (guarded by ADMIN_TOKEN)
+app.get('/admin/health', requireAdminToken, (req, res) => {
+  const { status, circuits } = getHealthStatus();
+
+  res.json({
+    status,
+    timestamp: new Date().toISOString(),
+    webhookAuth: webhookAuth.getAuthStats(),
+    ipFilter: ipFilter.getIpFilterStats(),
+    throttle: signalThrottle.getThrottleStats(),
+    config: appConfig.getConfigStatus(),
+    outbound: outboundQueue.getQueueStats(),
+    rateLimits: rateLimiter.getRateLimiterStats(),
+    telegramFloodWait: telegramService.getFloodWaitStats(),
+    circuits,
+    receipts: deliveryReceipts.getReceiptStats(),
+    digests: digests.getDigestStats()
+  });
+});
+
 // Main webhook endpoint for TradingView signals
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', webhookAuth.requireWebhookAuth, async (req, res) => {
   try {
     log('info', 'Received webhook payload', req.body);
 
-    // Check if this is a simple text message format
-    if (req.body.msg) {
-      return await handleTextMessage(req, res);
+    const accepted = await acceptSignal(req.body);
+
+    if (accepted.status === 'invalid') {
+      return res.status(400).json({ error: accepted.error });
     }
 
-    // Validate required fields for trading signal format
-    const { title, datetime, action, symbol, price } = req.body;
-    
-    if (!title || !action || !symbol || !price) {
-      log('warn', 'Invalid webhook payload - missing required fields', req.body);
-      return res.status(400).json({
-        error: 'Missing required fields: title, action, symbol, price (or use msg + symbol for text format)'
+    if (accepted.status === 'duplicate') {
+      const originalJob = accepted.job;
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Duplicate alert ignored, returning original result',
+        jobId: accepted.jobId,
+        status: originalJob ? originalJob.status : 'queued',
+        statusUrl: `/jobs/${accepted.jobId}`,
+        job: originalJob ? jobStore.toPublicJob(originalJob) : null,
+        timestamp: new Date().toISOString()
       });
     }
 
-    // Validate action
-    if (!['BUY', 'SELL'].includes(action.toUpperCase())) {
-      log('warn', 'Invalid action in webhook payload', { action });
-      return res.status(400).json({
-        error: 'Action must be either BUY or SELL'
+    if (accepted.status === 'suppressed') {
+      return res.status(200).json({
+        success: true,
+        suppressed: true,
+        reason: accepted.reason,
+        retryAfter: accepted.retryAfter,
+        message: accepted.message,
+        timestamp: new Date().toISOString()
       });
     }
 
-    // Prepare signal data - include all properties from request body
-    const signalData = {
-      title,
-      datetime: datetime || new Date().toISOString(),
-      action: action.toUpperCase(),
-      symbol,
-      price,
-      // Include all other properties from the request body
-      ...Object.keys(req.body).reduce((acc, key) => {
-        const lowerKey = key.toLowerCase();
-        // Exclude already processed keys and common webhook fields
-        if (!['title', 'datetime', 'action', 'symbol', 'price', 'phonenumber', 'phonenumbers', 'groupid', 'groupids'].includes(lowerKey)) {
-          acc[key] = req.body[key];
-        }
-        return acc;
-      }, {})
-    };
+    const { job, signal } = accepted;
 
-    // Get chart image for the symbol
-    let chartImage = null;
-    try {
-      const formattedSymbol = chartService.formatSymbol(symbol);
-      log('info', `Fetching chart for symbol: ${formattedSymbol}`);
-      
-      // Get chart image with basic options
-      const chartOptions = {
-        width: 800,
-        height: 600
-      };
-
-      const chartResult = await chartService.getChartImage(formattedSymbol, chartOptions);
-      if (chartResult && chartResult.buffer) {
-        chartImage = chartResult; // For WhatsApp (original buffer)
-
-        log('info', 'Chart image captured successfully', {
-          sessionAuth: chartService.hasSessionAuth(),
-          size: chartResult.buffer.length,
-          contentType: chartResult.contentType,
-        });
-      }
-    } catch (chartError) {
-      log('warn', 'Failed to generate chart image, proceeding without chart', {
-        error: chartError.message,
-        symbol: symbol,
-        sessionAuth: chartService.hasSessionAuth()
+    // Chart capture and delivery continue after the response is sent
+    runInBackground(() => processSignalJobSafely(job, signal));
+
+    log('info', 'Webhook accepted for background processing', {
+      jobId: job.jobId,
+      type: signal.type,
+      symbol: signal.symbol
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Signal accepted for processing',
+      jobId: job.jobId,
+      status: 'queued',
+      statusUrl: `/jobs/${job.jobId}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    log('error', 'Error processing webhook', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to process trading signal'
+    });
+  }
+});
+
+// Batch webhook endpoint - one alert carrying several signals (e.g. screeners)
+app.post('/webhook/batch', webhookAuth.requireWebhookAuth, async (req, res) => {
+  try {
+    log('info', 'Received batch webhook payload', req.body);
+
+    const items = Array.isArray(req.body) ? req.body : req.body?.signals;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'Batch payload must be an array of signals or an object with a non-empty "signals" array'
       });
     }
 
-    // Send message to WhatsApp group with chart image
-    const results = {
-      whatsapp: null,
-      telegram: null
-    };
+    if (items.length > BATCH_MAX_SIGNALS) {
+      return res.status(400).json({
+        error: `Batch may contain at most ${BATCH_MAX_SIGNALS} signals`
+      });
+    }
 
-    // Send to WhatsApp
-    try {
-      // Save chart image and get URL if available
-      let chartImageUrl = null;
-      if (chartImage) {
-        chartImageUrl = await saveChartImage(chartImage, symbol);
-        if (chartImageUrl) {
-          log('info', 'Chart image URL generated', { url: chartImageUrl });
-        }
-      }
+    // Validate every item on its own so one bad signal doesn't reject the batch
+    const results = [];
+    const acceptedItems = [];
 
-      // Check if specific phone number(s) are requested in the webhook payload
-      const targetNumbers = WHATSAPP_GROUPS || WHATSAPP_GROUP_ID;
-      
-      if (targetNumbers) {
-        // Use the new multi-number compatible method
-        const result = await whatsappService.sendFormattedMessageToPerson(targetNumbers, signalData, chartImageUrl);
-        
-        // Handle both single and multiple number results
-        if (result.total !== undefined) {
-          // Multiple numbers result
-          results.whatsapp = {
-            success: result.success,
-            total: result.total,
-            succeeded: result.succeeded,
-            failed: result.failed,
-            numbers: result.results.map(r => ({
-              phoneNumber: r.phoneNumber,
-              success: r.success,
-              error: r.error,
-              messageId: r.messageId
-            }))
-          };
-          
-          log('info', 'Signal sent to WhatsApp numbers', {
-            total: result.total,
-            succeeded: result.succeeded,
-            failed: result.failed
-          });
-        } else {
-          // Single number result (backward compatibility)
-          results.whatsapp = {
-            success: result.success,
-            phoneNumber: result.phoneNumber,
-            messageId: result.messageId
-          };
-          
-          log('info', 'Signal sent to WhatsApp number successfully', {
-            phoneNumber: result.phoneNumber
-          });
-        }
+    for (const [index, item] of items.entries()) {
+      const payload = typeof item === 'string' ? parseTextAlert(item) : item;
+      const accepted = await acceptSignal(payload);
+
+      if (accepted.status === 'accepted') {
+        acceptedItems.push(accepted);
+        results.push({
+          index,
+          status: 'accepted',
+          jobId: accepted.job.jobId,
+          statusUrl: `/jobs/${accepted.job.jobId}`
+        });
+      } else if (accepted.status === 'duplicate') {
+        results.push({
+          index,
+          status: 'duplicate',
+          jobId: accepted.jobId,
+          statusUrl: `/jobs/${accepted.jobId}`
+        });
+      } else if (accepted.status === 'suppressed') {
+        results.push({
+          index,
+          status: 'suppressed',
+          reason: accepted.reason,
+          retryAfter: accepted.retryAfter,
+          message: accepted.message
+        });
       } else {
-        throw new Error('No WhatsApp phone number configured or provided');
+        results.push({ index, status: 'invalid', error: accepted.error });
       }
-    } catch (whatsappError) {
-      log('error', 'Failed to send to WhatsApp', {
-        error: whatsappError.message
-      });
-      results.whatsapp = { success: false, error: whatsappError.message };
     }
 
-    // Send to Telegram
-    try {
-      await telegramService.sendFormattedMessage(signalData, chartImage);
-      results.telegram = { success: true };
-      log('info', 'Signal sent to Telegram successfully');
-    } catch (telegramError) {
-      log('error', 'Failed to send to Telegram', {
-        error: telegramError.message
+    if (acceptedItems.length > 0) {
+      runInBackground(async () => {
+        // Capture each symbol once, with bounded parallelism, then deliver in order
+        const symbols = acceptedItems.map(({ signal }) => signal.symbol);
+        const charts = await chartService.getChartImages(symbols, CHART_OPTIONS);
+
+        for (const { job, signal } of acceptedItems) {
+          await processSignalJobSafely(job, signal, { chartImage: charts.get(signal.symbol) || null });
+        }
       });
-      results.telegram = { success: false, error: telegramError.message };
     }
 
-    // Check if at least one service succeeded
-    const hasSuccess = results.whatsapp?.success || results.telegram?.success;
-    
-    if (!hasSuccess) {
-      throw new Error('Failed to send signal to both WhatsApp and Telegram');
-    }
+    const summary = {
+      total: items.length,
+      accepted: acceptedItems.length,
+      duplicates: results.filter(r => r.status === 'duplicate').length,
+      suppressed: results.filter(r => r.status === 'suppressed').length,
+      invalid: results.filter(r => r.status === 'invalid').length
+    };
 
-    log('info', 'Trading signal processed successfully', {
-      symbol,
-      action: signalData.action,
-      price,
-      chartIncluded: !!chartImage,
-      whatsapp: results.whatsapp.success,
-      telegram: results.telegram.success
-    });
+    log('info', 'Batch webhook processed', summary);
 
-    res.status(200).json({
-      success: true,
-      message: 'Signal sent successfully',
-      chartIncluded: !!chartImage,
-      results: {
-        whatsapp: results.whatsapp.success,
-        telegram: results.telegram.success
-      },
+    const allInvalid = summary.invalid === summary.total;
+    res.status(allInvalid ? 400 : summary.accepted > 0 ? 202 : 200).json({
+      success: !allInvalid,
+      message: allInvalid ? 'No valid signals in batch' : 'Batch accepted for processing',
+      ...summary,
+      results,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    log('error', 'Error processing webhook', {
+    log('error', 'Error processing batch webhook', {
       error: error.message,
       stack: error.stack
     });
 
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to process trading signal'
+      message: 'Failed to process signal batch'
+    });
+  }
+});
+
+// Job status endpoint - per-channel progress and final results of a webhook
+// Jobs list the routed group and chat IDs, so they are only shown with the admin token
+app.get('/jobs/:id', requireAdminToken, async (req, res) => {
+  try {
+    const job = await jobStore.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(jobStore.toPublicJob(job));
+  } catch (error) {
+    log('error', 'Error loading job', { jobId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Whapi event callbacks - delivery receipts (sent/delivered/read/failed) for WhatsApp messages
+app.post('/whapi/events', webhookAuth.requireWhapiToken, async (req, res) => {
+  try {
+    const summary = await deliveryReceipts.handleWhapiEvent(req.body);
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    log('error', 'Error processing Whapi event', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delivery funnel of a signal's WhatsApp messages
+app.get('/admin/jobs/:id/funnel', requireAdminToken, async (req, res) => {
+  try {
+    const job = await jobStore.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(await deliveryReceipts.getFunnel(job.jobId));
+  } catch (error) {
+    log('error', 'Error building delivery funnel', { jobId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Parse an optional ISO date query/body value, returns undefined when absent and null when invalid
+const parseDateParam = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Signal history - every accepted signal with its rendered messages and delivery results (guarded by ADMIN_TOKEN)
+app.get('/signals', requireAdminToken, async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const action = req.query.action ? signalActions.normalizeAction(req.query.action) : undefined;
+    if (action === null) {
+      return res.status(400).json({ error: `Unknown action: ${req.query.action}` });
+    }
+
+    if (req.query.status && !signalHistory.DELIVERY_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of: ${signalHistory.DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const result = await signalHistory.list({
+      symbol: req.query.symbol,
+      action,
+      strategy: req.query.strategy,
+      status: req.query.status,
+      parentSignalId: req.query.parentSignalId,
+      from,
+      to,
+      limit: req.query.limit,
+      skip: req.query.skip
+    });
+    res.json(result);
+  } catch (error) {
+    log('error', 'Error listing signals', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Performance of entry signals, from their TP/SL/close follow-ups
+app.get('/signals/stats', requireAdminToken, async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const groupBy = req.query.groupBy || null;
+    if (groupBy && !performance.GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of: ${performance.GROUP_BY.join(', ')}` });
+    }
+
+    const format = req.query.format;
+    if (format && !['telegram', 'whatsapp'].includes(format)) {
+      return res.status(400).json({ error: 'format must be telegram or whatsapp' });
+    }
+
+    const report = await performance.getReport({
+      symbol: req.query.symbol,
+      strategy: req.query.strategy,
+      from,
+      to
+    }, groupBy);
+
+    if (format) {
+      const service = format === 'telegram' ? telegramService : whatsappService;
+      return res.json({ format, truncated: report.truncated, message: service.formatStatsMessage(report) });
+    }
+    res.json(report);
+  } catch (error) {
+    log('error', 'Error building performance stats', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/signals/trades', requireAdminToken, async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !Object.prototype.hasOwnProperty.call(performance.TRADE_FILTERS, status)) {
+      return res.status(400).json({ error: `status must be one of: ${Object.keys(performance.TRADE_FILTERS).join(', ')}` });
+    }
+
+    const result = await performance.getTradePage({
+      symbol: req.query.symbol,
+      strategy: req.query.strategy,
+      from,
+      to
+    }, {
+      status,
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+      skip: Math.max(parseInt(req.query.skip, 10) || 0, 0)
+    });
+    res.json(result);
+  } catch (error) {
+    log('error', 'Error listing trades', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/signals/:id', requireAdminToken, async (req, res) => {
+  try {
+    const signal = await signalHistory.get(req.params.id);
+    if (!signal) {
+      return res.status(404).json({ error: 'Signal not found' });
+    }
+    res.json(signal);
+  } catch (error) {
+    log('error', 'Error loading signal', { signalId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin API - dead letters (guarded by ADMIN_TOKEN)
+app.get('/admin/dead-letters', requireAdminToken, async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const result = await deadLetters.list({
+      channel: req.query.channel,
+      destination: req.query.destination,
+      jobId: req.query.jobId,
+      status: req.query.status,
+      from,
+      to,
+      limit: req.query.limit,
+      skip: req.query.skip
     });
+    res.json(result);
+  } catch (error) {
+    log('error', 'Error listing dead letters', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/admin/dead-letters/:id', requireAdminToken, async (req, res) => {
+  try {
+    const deadLetter = await deadLetters.get(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json(deadLetter);
+  } catch (error) {
+    log('error', 'Error loading dead letter', { deadLetterId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/admin/dead-letters/replay', requireAdminToken, async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const from = parseDateParam(body.from);
+    const to = parseDateParam(body.to);
+    if (!from || !to || from > to) {
+      return res.status(400).json({ error: 'from and to are required ISO dates, with from before to' });
+    }
+
+    const result = await deadLetters.replayRange({
+      from,
+      to,
+      channel: body.channel,
+      destination: body.destination,
+      includeReplayed: body.includeReplayed === true
+    });
+    log('info', 'Bulk dead letter replay', { from, to, matched: result.matched, replayed: result.replayed });
+    res.status(result.replayed > 0 ? 202 : 200).json(result);
+  } catch (error) {
+    log('error', 'Error replaying dead letters', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/admin/dead-letters/:id/replay', requireAdminToken, async (req, res) => {
+  try {
+    const result = await deadLetters.replay(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    if (result.inProgress) {
+      return res.status(409).json({ error: 'Dead letter is already being replayed' });
+    }
+    res.status(202).json({
+      deadLetterId: req.params.id,
+      messageId: result.message.messageId,
+      status: result.message.status,
+      jobId: result.message.jobId,
+      statusUrl: result.message.jobId ? `/jobs/${result.message.jobId}` : null
+    });
+  } catch (error) {
+    log('error', 'Error replaying dead letter', { deadLetterId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/admin/dead-letters/:id', requireAdminToken, async (req, res) => {
+  try {
+    const deleted = await deadLetters.discard(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    log('error', 'Error discarding dead letter', { deadLetterId: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Admin API - scheduled digests (guarded by ADMIN_TOKEN)
+app.get('/admin/digests', requireAdminToken, (req, res) => {
+  res.json({ digests: digests.getDigestStats() });
+});
+
+app.get('/admin/digests/:name/preview', requireAdminToken, async (req, res) => {
+  try {
+    const digest = digests.getDigest(req.params.name);
+    if (!digest) {
+      return res.status(404).json({ error: 'Digest not found' });
+    }
+
+    const format = req.query.format;
+    if (format && !['telegram', 'whatsapp'].includes(format)) {
+      return res.status(400).json({ error: 'format must be telegram or whatsapp' });
+    }
+
+    const content = await digests.buildDigest(digest);
+    if (format) {
+      return res.json({ format, message: digests.formatDigestMessage(format, content) });
+    }
+    res.json(content);
+  } catch (error) {
+    log('error', 'Error building digest preview', { name: req.params.name, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a digest now, outside its schedule
+app.post('/admin/digests/:name/send', requireAdminToken, async (req, res) => {
+  try {
+    const digest = digests.getDigest(req.params.name);
+    if (!digest) {
+      return res.status(404).json({ error: 'Digest not found' });
+    }
+
+    const result = await digests.sendDigest(digest, 'manual');
+    res.status(result.queued > 0 ? 202 : 200).json(result);
+  } catch (error) {
+    log('error', 'Error sending digest', { name: req.params.name, error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
@@ -555,6 +1309,14 @@ app.use((req, res) => {
   });
 });
 
+// Load the channel and routing configuration, an invalid one stops the server before it accepts
+// signals (later edits that fail validation keep the previous configuration instead)
+const startupConfig = appConfig.reloadConfig('startup');
+if (!startupConfig.success) {
+  log('error', 'Refusing to start with an invalid configuration', { errors: startupConfig.errors });
+  process.exit(1);
+}
+
 // Start server
 app.listen(PORT, () => {
   log('info', `Server started on port ${PORT}`);
@@ -563,16 +1325,26 @@ app.listen(PORT, () => {
     log('info', 'Server running on HTTP standard port 80');
     log('info', 'Available endpoints:', {
       health: `http://your-server-ip/health`,
-      webhook: `http://your-server-ip/webhook`
+      webhook: `http://your-server-ip/webhook`,
+      batch: `http://your-server-ip/webhook/batch`,
+      jobs: `http://your-server-ip/jobs/:id`
     });
     log('info', 'Note: Port 80 requires sudo privileges. Run with: sudo node main.js');
   } else {
     log('info', 'Available endpoints:', {
       health: `http://localhost:${PORT}/health`,
-      webhook: `http://localhost:${PORT}/webhook`
+      webhook: `http://localhost:${PORT}/webhook`,
+      batch: `http://localhost:${PORT}/webhook/batch`,
+      jobs: `http://localhost:${PORT}/jobs/:id`
     });
   }
 
+  // Pick up later edits of the configuration file
+  appConfig.watchConfig();
+
+  // Scheduled signal digests, rescheduled whenever the configuration is reloaded
+  digests.start();
+
   // Validate service configurations
   const whatsappValid = whatsappService.validateConfiguration();
   const telegramValid = telegramService.validateConfiguration();
@@ -585,6 +1357,12 @@ app.listen(PORT, () => {
   };
   
   log('info', 'Service configuration status', servicesStatus);
+
+  if (webhookAuth.isAuthEnabled()) {
+    log('info', 'Webhook authentication enabled', { sources: webhookAuth.getAuthStats().sources });
+  } else {
+    log('warn', 'WEBHOOK_SECRET not set - /webhook accepts unauthenticated requests');
+  }
   
   // Pre-launch browser for chart service if configured
   if (chartValid) {
@@ -659,8 +1437,24 @@ app.listen(PORT, () => {
 });
 
 // Graceful shutdown
+const SHUTDOWN_JOB_TIMEOUT_MS = 30000;
+
 async function gracefulShutdown(signal) {
   log('info', `${signal} received, shutting down gracefully`);
+  appConfig.stopWatching();
+  digests.stop();
+
+  // Let running webhook jobs finish their deliveries before tearing things down
+  if (activeJobs.size > 0) {
+    log('info', `Waiting for ${activeJobs.size} running job(s) to finish`);
+    await Promise.race([
+      Promise.allSettled([...activeJobs]),
+      new Promise(resolve => setTimeout(resolve, SHUTDOWN_JOB_TIMEOUT_MS))
+    ]);
+  }
+
+  // Finish the message being sent, queued ones are resumed from MongoDB on the next start
+  await outboundQueue.stop(SHUTDOWN_JOB_TIMEOUT_MS);
   
   // Close browser instance to free resources
   try {
@@ -682,5 +1476,8 @@ async function gracefulShutdown(signal) {
   process.exit(0);
 }
 
+// Reload the configuration file without restarting the server or the browser
+process.on('SIGHUP', () => appConfig.reloadConfig('SIGHUP'));
+
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
\ No newline at end of file
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Dead letters are kept longer than regular outbound messages so they can still be replayed
+const DEAD_LETTER_RETENTION_DAYS = parseInt(process.env.DEAD_LETTER_RETENTION_DAYS, 10) || 30;
+
+const deadLetterSchema = new mongoose.Schema({
+  deadLetterId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Outbound message that ran out of attempts
+  messageId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  jobId: {
+    type: String,
+    index: true
+  },
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'telegram', 'email'],
+    required: true
+  },
+  destination: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    // 'replaying' while a replay is being queued, so a second request can't queue it twice
+    enum: ['dead', 'replaying', 'replayed'],
+    default: 'dead',
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Message as it was rendered for the channel (text and image)
+  content: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  },
+  providerResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  attempts: {
+    type: Number
+  },
+  history: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  failedAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  replays: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  replayedAt: {
+    type: Date
+  }
+}, {
+  timestamps: false,
+  minimize: false
+});
+
+deadLetterSchema.index({ failedAt: 1 }, { expireAfterSeconds: DEAD_LETTER_RETENTION_DAYS * 24 * 60 * 60 });
+
+const DeadLetter = mongoose.model('DeadLetter', deadLetterSchema);
+
+module.exports = DeadLetter;
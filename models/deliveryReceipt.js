@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_RECEIPT_RETENTION_DAYS = parseInt(process.env.DELIVERY_RECEIPT_RETENTION_DAYS, 10) || 30;
+
+// Delivery state of one sent message for one recipient, from the provider's status callbacks.
+// A message to a group has one receipt per group member
+const deliveryReceiptSchema = new mongoose.Schema({
+  providerMessageId: {
+    type: String,
+    required: true
+  },
+  recipient: {
+    type: String,
+    required: true
+  },
+  // Outbound message and job the provider message belongs to
+  messageId: {
+    type: String,
+    index: true
+  },
+  jobId: {
+    type: String,
+    index: true
+  },
+  channel: {
+    type: String,
+    enum: ['whatsapp'],
+    default: 'whatsapp'
+  },
+  destination: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'delivered', 'read', 'failed'],
+    required: true
+  },
+  sentAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  readAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+deliveryReceiptSchema.index({ providerMessageId: 1, recipient: 1 }, { unique: true });
+deliveryReceiptSchema.index({ updatedAt: 1 }, { expireAfterSeconds: DELIVERY_RECEIPT_RETENTION_DAYS * 24 * 60 * 60 });
+
+const DeliveryReceipt = mongoose.model('DeliveryReceipt', deliveryReceiptSchema);
+
+module.exports = DeliveryReceipt;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// Delivered and failed messages are kept for this long after they settle
+const OUTBOUND_RETENTION_DAYS = parseInt(process.env.OUTBOUND_RETENTION_DAYS, 10) || 7;
+
+const attemptSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  durationMs: {
+    type: Number
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  error: {
+    type: String
+  },
+  statusCode: {
+    type: Number
+  },
+  providerMessageId: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+const outboundMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  jobId: {
+    type: String,
+    index: true
+  },
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'telegram', 'email'],
+    required: true
+  },
+  destination: {
+    type: String,
+    required: true
+  },
+  // Everything the channel sender needs to rebuild the message after a restart
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  history: {
+    type: [attemptSchema],
+    default: []
+  },
+  lastError: {
+    type: String
+  },
+  // Provider response body of the last failed attempt
+  lastResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  },
+  settledAt: {
+    type: Date
+  }
+}, {
+  timestamps: false,
+  minimize: false
+});
+
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivery receipts refer to messages by the provider's message ID
+outboundMessageSchema.index({ channel: 1, 'result.messageId': 1 });
+// Pending messages have no settledAt and are never expired
+outboundMessageSchema.index({ settledAt: 1 }, { expireAfterSeconds: OUTBOUND_RETENTION_DAYS * 24 * 60 * 60 });
+
+const OutboundMessage = mongoose.model('OutboundMessage', outboundMessageSchema);
+
+module.exports = OutboundMessage;
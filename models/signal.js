@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Signal history outlives jobs and outbound messages, it backs the history API and stats
+const SIGNAL_RETENTION_DAYS = parseInt(process.env.SIGNAL_RETENTION_DAYS, 10) || 365;
+
+const signalSchema = new mongoose.Schema({
+  // Same as the job ID of the webhook that carried the signal
+  signalId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'signal'],
+    required: true
+  },
+  symbol: {
+    type: String,
+    index: true
+  },
+  action: {
+    type: String,
+    index: true
+  },
+  strategy: {
+    type: String,
+    index: true
+  },
+  // Webhook body as received, and the signal data built from it
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  signalData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  chart: {
+    type: mongoose.Schema.Types.Mixed,
+    default: { status: 'pending' }
+  },
+  route: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // signal_id sent by the alert, follow-ups use it to find their entry
+  externalId: {
+    type: String,
+    index: true
+  },
+  // Entry signal a TP/SL/close/update follow-up is threaded under
+  parentSignalId: {
+    type: String,
+    index: true
+  },
+  // Entries only: open until a stop loss, close or cancel follow-up arrives
+  positionStatus: {
+    type: String,
+    enum: ['open', 'closed', null],
+    default: null
+  },
+  closedAt: {
+    type: Date
+  },
+  closedBySignalId: {
+    type: String
+  },
+  // Message as rendered for each routed channel
+  messages: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // One entry per routed destination, with the fallback that delivered it if any
+  deliveries: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  deliveryStatus: {
+    type: String,
+    enum: ['pending', 'delivered', 'partial', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  error: {
+    type: String
+  },
+  receivedAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: false,
+  minimize: false
+});
+
+signalSchema.index({ symbol: 1, positionStatus: 1, receivedAt: -1 });
+signalSchema.index({ receivedAt: 1 }, { expireAfterSeconds: SIGNAL_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Signal = mongoose.model('Signal', signalSchema);
+
+module.exports = Signal;
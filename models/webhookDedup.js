@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const webhookDedupSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  jobId: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false
+});
+
+// MongoDB removes keys once their deduplication window has passed
+webhookDedupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookDedup = mongoose.model('WebhookDedup', webhookDedupSchema);
+
+module.exports = WebhookDedup;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Finished jobs are only kept around for status lookups
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+
+const webhookJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'signal'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  dedupKey: {
+    type: String
+  },
+  route: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  signalData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  chart: {
+    type: mongoose.Schema.Types.Mixed,
+    default: { status: 'pending' }
+  },
+  channels: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Channels that delivered the signal in the end, fallbacks included
+  deliveredVia: {
+    type: [String],
+    default: []
+  },
+  error: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: false,
+  minimize: false
+});
+
+webhookJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 });
+
+const WebhookJob = mongoose.model('WebhookJob', webhookJobSchema);
+
+module.exports = WebhookJob;
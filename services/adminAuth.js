@@ -0,0 +1,47 @@
+const { safeEqual } = require('./webhookAuth');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ADMIN_AUTH ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const TOKEN_HEADER = 'x-admin-token';
+
+// Token from "Authorization: Bearer <token>" or the X-Admin-Token header
+function extractToken(req) {
+  const authorization = req.get('authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : req.get(TOKEN_HEADER);
+}
+
+/**
+ * Express middleware guarding the admin API with ADMIN_TOKEN
+ * Unlike webhooks the admin API stays closed when no token is configured
+ */
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin API disabled, set ADMIN_TOKEN to enable it' });
+  }
+
+  const token = extractToken(req);
+  if (token && safeEqual(token, ADMIN_TOKEN)) {
+    return next();
+  }
+
+  log('warn', 'Rejected admin request', {
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl,
+    reason: token ? 'invalid_token' : 'missing_token'
+  });
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+module.exports = {
+  requireAdminToken
+};
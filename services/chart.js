@@ -1,6 +1,9 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const circuitBreaker = require('./circuitBreaker');
+
+const chartBreaker = circuitBreaker.getBreaker('chart');
 
 // Logging utility
 const log = (level, message, data = null) => {
@@ -92,6 +95,7 @@ class ChartService {
 
     this.processingCount++;
     let page = null;
+    let breakerClaimed = false;
     
     try {
       if (!this.tradingViewSessionId || !this.tradingViewSessionIdSign) {
@@ -104,6 +108,13 @@ class ChartService {
         return null;
       }
 
+      // Chart capture keeps failing (TradingView down, session expired): send without a chart
+      if (!chartBreaker.allowRequest()) {
+        log('warn', `Chart circuit is open, skipping chart image for ${symbol}`);
+        return null;
+      }
+      breakerClaimed = true;
+
       log('info', `Fetching chart image for ${symbol} using Puppeteer (${this.processingCount}/${this.maxConcurrentRequests} active)`);
 
       // Format symbol for TradingView URL
@@ -206,7 +217,8 @@ class ChartService {
         size: screenshotBuffer.length,
         contentType: 'image/png',
       });
-      
+
+      chartBreaker.recordSuccess();
       return {
         buffer: screenshotBuffer,
         contentType: 'image/png',
@@ -217,6 +229,10 @@ class ChartService {
         symbol,
         error: error.message
       });
+
+      if (breakerClaimed) {
+        chartBreaker.recordFailure(error);
+      }
       
       // If browser connection is lost, reset it so it can be relaunched
       if (this.browser && !this.browser.isConnected()) {
@@ -240,6 +256,26 @@ class ChartService {
     }
   }
 
+  // Capture charts for several symbols with at most `concurrency` captures in flight
+  // Returns a Map keyed by the symbols as given; failed captures map to null
+  async getChartImages(symbols, options = {}, concurrency = this.maxConcurrentRequests) {
+    const uniqueSymbols = [...new Set(symbols.filter(Boolean))];
+    const results = new Map();
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < uniqueSymbols.length) {
+        const symbol = uniqueSymbols[nextIndex++];
+        results.set(symbol, await this.getChartImage(this.formatSymbol(symbol), options));
+      }
+    };
+
+    log('info', `Capturing charts for ${uniqueSymbols.length} symbol(s)`, { concurrency });
+    await Promise.all(Array.from({ length: Math.min(concurrency, uniqueSymbols.length) }, worker));
+
+    return results;
+  }
+
   // Cleanup method to close browser (call on app shutdown)
   async closeBrowser() {
     this.isShuttingDown = true;
@@ -265,7 +301,7 @@ class ChartService {
   // Create advanced chart configuration for trading signals
   createSignalChart(symbol, signalData, options = {}) {
     const { action, price, timestamp } = signalData;
-    const isLong = action.toUpperCase() === 'BUY';
+    const isLong = ['BUY', 'LONG'].includes(action.toUpperCase());
     
     const signalColor = isLong ? 'rgb(34,171,148)' : 'rgb(247,82,95)';
     const signalColorRgba = isLong ? 'rgba(34,171,148,0.2)' : 'rgba(247,82,95,0.2)';
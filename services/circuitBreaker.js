@@ -0,0 +1,244 @@
+// Circuit breakers for the external providers (Whapi, Telegram Bot API, TradingView chart capture, SMTP).
+// After repeated failures a breaker opens and calls fail fast instead of waiting for timeouts.
+// Once the reset timeout has passed it goes half-open and lets one probe call through:
+// success closes it again, failure opens it for another round.
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] CIRCUIT ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+const RESET_SECONDS = parseInt(process.env.CIRCUIT_RESET_SECONDS, 10) || 30;
+// Wait at least this long after a rejection, a half-open probe in flight has no known end
+const MIN_RETRY_AFTER_SECONDS = 5;
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Only outages count: no response at all (network error, timeout) or a 5xx.
+// 4xx answers mean the provider is up and rejected this one request
+function isProviderFailure(error) {
+  const status = error.response?.status;
+  return !status || status >= 500;
+}
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Provider name used in logs and stats
+   * @param {Object} options - Breaker settings
+   * @param {number} options.failureThreshold - Consecutive failures that open the breaker
+   * @param {number} options.resetTimeoutMs - Time the breaker stays open before a probe is allowed
+   * @param {Function} options.isFailure - (error) => whether the error counts against the provider
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || FAILURE_THRESHOLD;
+    this.resetTimeoutMs = options.resetTimeoutMs || RESET_SECONDS * 1000;
+    this.isFailure = options.isFailure || isProviderFailure;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.resetTimer = null;
+    this.lastError = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  transition(state) {
+    if (this.state === state) {
+      return;
+    }
+
+    const previous = this.state;
+    this.state = state;
+    log(state === STATES.OPEN ? 'warn' : 'info', `${this.name} circuit ${previous} -> ${state}`, {
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError
+    });
+  }
+
+  open() {
+    this.openedAt = Date.now();
+    this.probeInFlight = false;
+    this.stats.opened++;
+    this.transition(STATES.OPEN);
+
+    // Go half-open on our own so the next call after the reset timeout is the probe
+    clearTimeout(this.resetTimer);
+    this.resetTimer = setTimeout(() => {
+      if (this.state === STATES.OPEN) {
+        this.transition(STATES.HALF_OPEN);
+      }
+    }, this.resetTimeoutMs);
+    this.resetTimer.unref();
+  }
+
+  /**
+   * Milliseconds until the breaker lets a probe through, 0 when calls are allowed now
+   * @returns {number}
+   */
+  getRetryAfterMs() {
+    if (this.state !== STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  /**
+   * Whether the provider is worth trying: closed, or half-open and waiting for a probe
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.state === STATES.CLOSED || (this.state === STATES.HALF_OPEN && !this.probeInFlight);
+  }
+
+  /**
+   * Ask for permission to call the provider. Callers that get true must report the
+   * outcome with recordSuccess or recordFailure
+   * @returns {boolean} False while the breaker is open or a half-open probe is running
+   */
+  allowRequest() {
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+    if (this.state !== STATES.CLOSED) {
+      clearTimeout(this.resetTimer);
+      this.openedAt = null;
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  recordFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.lastError = error?.message || String(error);
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  /**
+   * Error thrown instead of calling the provider while the breaker is open
+   * Marked retryable, with retryAfter (seconds) set to the time until the next probe,
+   * and at least MIN_RETRY_AFTER_SECONDS
+   * @returns {Error}
+   */
+  createOpenError() {
+    const retryAfterMs = this.getRetryAfterMs();
+    return Object.assign(new Error(`${this.name} circuit is open, failing fast`), {
+      circuitOpen: true,
+      retryable: true,
+      retryAfter: Math.max(MIN_RETRY_AFTER_SECONDS, Math.ceil(retryAfterMs / 1000))
+    });
+  }
+
+  /**
+   * Run a provider call through the breaker
+   * @param {Function} fn - async () => provider response
+   * @returns {Promise<*>} Result of fn
+   * @throws {Error} The provider error, or an open-circuit error without calling fn
+   */
+  async exec(fn) {
+    if (!this.allowRequest()) {
+      throw this.createOpenError();
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.recordFailure(error);
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  getStats() {
+    const retryAfterMs = this.getRetryAfterMs();
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutSeconds: Math.round(this.resetTimeoutMs / 1000),
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextProbeAt: this.state === STATES.OPEN ? new Date(Date.now() + retryAfterMs).toISOString() : null,
+      lastError: this.lastError,
+      ...this.stats
+    };
+  }
+}
+
+const breakers = {
+  whatsapp: new CircuitBreaker('whatsapp'),
+  telegram: new CircuitBreaker('telegram'),
+  chart: new CircuitBreaker('chart'),
+  // SMTP has reply codes instead of HTTP statuses: connection errors and 421 (service unavailable) count
+  email: new CircuitBreaker('email', {
+    isFailure: (error) => !error.responseCode || error.responseCode === 421
+  })
+};
+
+/**
+ * Breaker of a provider
+ * @param {string} name - 'whatsapp', 'telegram', 'chart' or 'email'
+ * @returns {CircuitBreaker}
+ */
+function getBreaker(name) {
+  return breakers[name];
+}
+
+/**
+ * Whether a provider is worth trying right now (unknown providers always are)
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+function isAvailable(name) {
+  return breakers[name] ? breakers[name].isAvailable() : true;
+}
+
+/**
+ * State and counters of every breaker
+ * @returns {Object} Stats keyed by provider
+ */
+function getBreakerStats() {
+  return Object.keys(breakers).reduce((acc, name) => {
+    acc[name] = breakers[name].getStats();
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  CircuitBreaker,
+  STATES,
+  getBreaker,
+  isAvailable,
+  getBreakerStats
+};
@@ -0,0 +1,690 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const cron = require('node-cron');
+const { normalizeAction } = require('./signalActions');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] CONFIG ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// One JSON or YAML file (CONFIG_FILE) describing channels, named destinations, default and
+// rule based routes, fallback chains, recipient allowlists, message templates, news targets and
+// scheduled signal digests.
+// Sections left out of the file fall back to the environment variables used before.
+
+const CHANNELS = ['whatsapp', 'telegram'];
+// Email can't be routed to directly, it only serves as a fallback
+const DESTINATION_CHANNELS = [...CHANNELS, 'email'];
+const SIGNAL_TYPES = ['signal', 'text'];
+const TOP_LEVEL_KEYS = ['channels', 'destinations', 'defaults', 'routes', 'fallbacks', 'allowedRecipients', 'templates', 'news', 'digests'];
+const RULE_KEYS = ['name', 'match', 'continue', ...CHANNELS];
+const MATCH_KEYS = ['type', 'symbol', 'exchange', 'action', 'title', 'fields'];
+const DIGEST_KEYS = ['name', 'schedule', 'timezone', 'period', 'lookbackHours', 'title', 'enabled', ...CHANNELS];
+const DIGEST_PERIODS = { day: 24, week: 24 * 7 };
+
+// Wait for editors to finish writing before reloading
+const RELOAD_DEBOUNCE_MS = 250;
+
+// Split "a,b" strings and arrays into a clean list of destination IDs
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isListValue = (value) => typeof value === 'string' || typeof value === 'number' ||
+  (Array.isArray(value) && value.every(item => typeof item === 'string' || typeof item === 'number'));
+
+/**
+ * Routing rules from SIGNAL_ROUTES (inline JSON) or SIGNAL_ROUTES_FILE (path to a JSON file)
+ * @returns {Array<Object>} Rules, empty when neither is set
+ */
+function readEnvRoutes() {
+  if (process.env.SIGNAL_ROUTES) {
+    return JSON.parse(process.env.SIGNAL_ROUTES);
+  }
+  if (process.env.SIGNAL_ROUTES_FILE) {
+    return JSON.parse(fs.readFileSync(path.resolve(process.env.SIGNAL_ROUTES_FILE), 'utf8'));
+  }
+  return [];
+}
+
+const ENV_ROUTES_SOURCE = process.env.SIGNAL_ROUTES ? 'SIGNAL_ROUTES' : 'SIGNAL_ROUTES_FILE';
+
+function createValidationError(heading, errors) {
+  const error = new Error(`${heading}:\n  - ${errors.join('\n  - ')}`);
+  error.validationErrors = errors;
+  return error;
+}
+
+/**
+ * Read and validate the routing rules from the environment
+ * @returns {Array<Object>} Rules, empty when neither variable is set
+ * @throws {Error} When the rules can't be parsed or are invalid
+ */
+function loadEnvRoutes() {
+  let routes;
+  try {
+    routes = readEnvRoutes();
+  } catch (error) {
+    throw new Error(`Failed to read ${ENV_ROUTES_SOURCE}: ${error.message}`);
+  }
+
+  const errors = validateConfig({ routes });
+  if (errors.length > 0) {
+    throw createValidationError(`Invalid routing rules in ${ENV_ROUTES_SOURCE}`, errors);
+  }
+  return routes;
+}
+
+/**
+ * Build the raw configuration the environment variables describe
+ * Destinations without their variable are left empty, nothing is sent there until one is configured
+ * @param {Array<Object>} routes - Routing rules from loadEnvRoutes
+ * @returns {Object} Raw configuration in the file format
+ */
+function buildEnvConfig(routes = []) {
+  return {
+    channels: {
+      whatsapp: { enabled: true },
+      telegram: { enabled: true }
+    },
+    destinations: {},
+    defaults: {
+      signal: {
+        whatsapp: toList(process.env.WHATSAPP_GROUPS || process.env.WHATSAPP_TO_NUMBERS),
+        telegram: toList(process.env.TELEGRAM_CHAT_ID)
+      },
+      text: {
+        whatsapp: toList(process.env.WHATSAPP_TEXT_GROUPS),
+        telegram: toList(process.env.TELEGRAM_CHAT_ID)
+      }
+    },
+    routes,
+    fallbacks: {},
+    allowedRecipients: {
+      whatsapp: toList(process.env.WHATSAPP_ALLOWED_RECIPIENTS),
+      telegram: toList(process.env.TELEGRAM_ALLOWED_CHATS)
+    },
+    templates: {
+      titles: {}
+    },
+    news: {
+      whatsapp: toList(process.env.WHATSAPP_NEWS_PHONE_NUMBER),
+      telegram: toList(process.env.TELEGRAM_ADDITIONAL_CHAT_ID)
+    },
+    digests: []
+  };
+}
+
+// Check a "/regex/flags" pattern (or list of patterns) compiles
+function validatePattern(pattern, where, errors) {
+  const patterns = Array.isArray(pattern) ? pattern : [pattern];
+  patterns.forEach(item => {
+    if (typeof item !== 'string' && typeof item !== 'number') {
+      errors.push(`${where}: patterns must be strings or arrays of strings`);
+      return;
+    }
+    const regexMatch = String(item).trim().match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      try {
+        new RegExp(regexMatch[1], regexMatch[2]);
+      } catch (error) {
+        errors.push(`${where}: invalid regex ${item} (${error.message})`);
+      }
+    }
+  });
+}
+
+function validateChannelLists(value, where, destinations, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${where}: must be an object with ${CHANNELS.join('/')} lists`);
+    return;
+  }
+
+  Object.keys(value).forEach(channel => {
+    if (!CHANNELS.includes(channel)) {
+      errors.push(`${where}.${channel}: unknown channel, expected one of ${CHANNELS.join(', ')}`);
+      return;
+    }
+    validateDestinationList(value[channel], `${where}.${channel}`, channel, destinations, errors);
+  });
+}
+
+function validateDestinationList(value, where, channel, destinations, errors) {
+  if (!isListValue(value)) {
+    errors.push(`${where}: must be a destination or a list of destinations`);
+    return;
+  }
+
+  toList(value).forEach(entry => {
+    const named = isPlainObject(destinations) ? destinations[entry] : undefined;
+    if (isPlainObject(named) && named.channel !== channel) {
+      errors.push(`${where}: destination "${entry}" is a ${named.channel} destination`);
+    }
+  });
+}
+
+// Fallback chains: { primaryName: [fallbackName, ...] }, named destinations only since a bare
+// ID doesn't say which channel it belongs to
+function validateFallbacks(fallbacks, destinations, errors) {
+  if (!isPlainObject(fallbacks)) {
+    errors.push('fallbacks: must be an object of destination name to fallback destinations');
+    return;
+  }
+
+  const named = isPlainObject(destinations) ? destinations : {};
+  Object.keys(fallbacks).forEach(primary => {
+    const where = `fallbacks.${primary}`;
+    if (!isPlainObject(named[primary])) {
+      errors.push(`${where}: "${primary}" is not a named destination`);
+    } else if (!CHANNELS.includes(named[primary].channel)) {
+      errors.push(`${where}: fallback chains start at a ${CHANNELS.join(' or ')} destination`);
+    }
+
+    if (!isListValue(fallbacks[primary]) || toList(fallbacks[primary]).length === 0) {
+      errors.push(`${where}: must be a destination name or a non-empty list of names`);
+      return;
+    }
+
+    const seen = new Set([primary]);
+    toList(fallbacks[primary]).forEach(entry => {
+      if (!isPlainObject(named[entry])) {
+        errors.push(`${where}: "${entry}" is not a named destination`);
+      } else if (seen.has(entry)) {
+        errors.push(`${where}: "${entry}" appears more than once in the chain`);
+      }
+      seen.add(entry);
+    });
+  });
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Digests: [{ name, schedule, timezone, period | lookbackHours, whatsapp, telegram }]
+function validateDigests(digests, destinations, errors) {
+  if (!Array.isArray(digests)) {
+    errors.push('digests: must be an array of digest schedules');
+    return;
+  }
+
+  const names = new Set();
+  digests.forEach((digest, index) => {
+    const where = `digests[${index}]`;
+    if (!isPlainObject(digest)) {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    Object.keys(digest).forEach(key => {
+      if (!DIGEST_KEYS.includes(key)) {
+        errors.push(`${where}.${key}: unknown digest key, expected one of ${DIGEST_KEYS.join(', ')}`);
+      }
+    });
+
+    if (typeof digest.name !== 'string' || !digest.name.trim()) {
+      errors.push(`${where}.name: must be a non-empty string`);
+    } else if (names.has(digest.name.trim())) {
+      errors.push(`${where}.name: "${digest.name}" is used by another digest`);
+    } else {
+      names.add(digest.name.trim());
+    }
+    if (typeof digest.schedule !== 'string' || !cron.validate(digest.schedule)) {
+      errors.push(`${where}.schedule: must be a cron expression such as "15 16 * * 1-5"`);
+    }
+    if (digest.timezone !== undefined && (typeof digest.timezone !== 'string' || !isValidTimezone(digest.timezone))) {
+      errors.push(`${where}.timezone: must be an IANA time zone such as "America/New_York"`);
+    }
+    if (digest.period !== undefined && !DIGEST_PERIODS[digest.period]) {
+      errors.push(`${where}.period: expected one of ${Object.keys(DIGEST_PERIODS).join(', ')}`);
+    }
+    if (digest.lookbackHours !== undefined && !(typeof digest.lookbackHours === 'number' && digest.lookbackHours > 0)) {
+      errors.push(`${where}.lookbackHours: must be a positive number`);
+    }
+    if (digest.title !== undefined && (typeof digest.title !== 'string' || !digest.title.trim())) {
+      errors.push(`${where}.title: must be a non-empty string`);
+    }
+    if (digest.enabled !== undefined && typeof digest.enabled !== 'boolean') {
+      errors.push(`${where}.enabled: must be a boolean`);
+    }
+
+    const targets = CHANNELS.filter(channel => digest[channel] !== undefined);
+    if (targets.length === 0) {
+      errors.push(`${where}: needs at least one ${CHANNELS.join(' or ')} destination`);
+    }
+    targets.forEach(channel => validateDestinationList(digest[channel], `${where}.${channel}`, channel, destinations, errors));
+  });
+}
+
+/**
+ * Validate a raw configuration object
+ * @param {Object} raw - Parsed configuration file
+ * @returns {Array<string>} Error messages with the path of each problem, empty when valid
+ */
+function validateConfig(raw) {
+  const errors = [];
+
+  if (!isPlainObject(raw)) {
+    return ['Configuration must be an object'];
+  }
+
+  Object.keys(raw).forEach(key => {
+    if (!TOP_LEVEL_KEYS.includes(key)) {
+      errors.push(`${key}: unknown section, expected one of ${TOP_LEVEL_KEYS.join(', ')}`);
+    }
+  });
+
+  if (raw.channels !== undefined) {
+    if (!isPlainObject(raw.channels)) {
+      errors.push('channels: must be an object');
+    } else {
+      Object.keys(raw.channels).forEach(channel => {
+        const settings = raw.channels[channel];
+        if (!CHANNELS.includes(channel)) {
+          errors.push(`channels.${channel}: unknown channel, expected one of ${CHANNELS.join(', ')}`);
+        } else if (!isPlainObject(settings) || (settings.enabled !== undefined && typeof settings.enabled !== 'boolean')) {
+          errors.push(`channels.${channel}: must be an object with a boolean "enabled"`);
+        }
+      });
+    }
+  }
+
+  const { destinations } = raw;
+  if (destinations !== undefined) {
+    if (!isPlainObject(destinations)) {
+      errors.push('destinations: must be an object of named destinations');
+    } else {
+      Object.keys(destinations).forEach(name => {
+        const destination = destinations[name];
+        if (!isPlainObject(destination)) {
+          errors.push(`destinations.${name}: must be an object with "channel" and "id"`);
+          return;
+        }
+        if (!DESTINATION_CHANNELS.includes(destination.channel)) {
+          errors.push(`destinations.${name}.channel: expected one of ${DESTINATION_CHANNELS.join(', ')}`);
+        }
+        if ((typeof destination.id !== 'string' && typeof destination.id !== 'number') || !String(destination.id).trim()) {
+          errors.push(`destinations.${name}.id: must be a non-empty string`);
+        }
+      });
+    }
+  }
+
+  if (raw.defaults !== undefined) {
+    if (!isPlainObject(raw.defaults)) {
+      errors.push('defaults: must be an object with "signal" and/or "text" routes');
+    } else {
+      Object.keys(raw.defaults).forEach(type => {
+        if (!SIGNAL_TYPES.includes(type)) {
+          errors.push(`defaults.${type}: unknown signal type, expected one of ${SIGNAL_TYPES.join(', ')}`);
+          return;
+        }
+        validateChannelLists(raw.defaults[type], `defaults.${type}`, destinations, errors);
+      });
+    }
+  }
+
+  if (raw.routes !== undefined) {
+    if (!Array.isArray(raw.routes)) {
+      errors.push('routes: must be an array of rules');
+    } else {
+      raw.routes.forEach((rule, index) => {
+        const where = `routes[${index}]`;
+        if (!isPlainObject(rule)) {
+          errors.push(`${where}: must be an object`);
+          return;
+        }
+        Object.keys(rule).forEach(key => {
+          if (!RULE_KEYS.includes(key)) {
+            errors.push(`${where}.${key}: unknown rule key, expected one of ${RULE_KEYS.join(', ')}`);
+          }
+        });
+        if (rule.name !== undefined && typeof rule.name !== 'string') {
+          errors.push(`${where}.name: must be a string`);
+        }
+        if (rule.continue !== undefined && typeof rule.continue !== 'boolean') {
+          errors.push(`${where}.continue: must be a boolean`);
+        }
+        if (rule.match !== undefined && !isPlainObject(rule.match)) {
+          errors.push(`${where}.match: must be an object`);
+        } else if (rule.match) {
+          Object.keys(rule.match).forEach(key => {
+            if (!MATCH_KEYS.includes(key)) {
+              errors.push(`${where}.match.${key}: unknown match key, expected one of ${MATCH_KEYS.join(', ')}`);
+            } else if (key === 'fields') {
+              if (!isPlainObject(rule.match.fields)) {
+                errors.push(`${where}.match.fields: must be an object of field patterns`);
+              } else {
+                Object.keys(rule.match.fields).forEach(field => {
+                  validatePattern(rule.match.fields[field], `${where}.match.fields.${field}`, errors);
+                });
+              }
+            } else {
+              validatePattern(rule.match[key], `${where}.match.${key}`, errors);
+            }
+          });
+        }
+        CHANNELS.forEach(channel => {
+          if (rule[channel] !== undefined) {
+            validateDestinationList(rule[channel], `${where}.${channel}`, channel, destinations, errors);
+          }
+        });
+      });
+    }
+  }
+
+  if (raw.fallbacks !== undefined) {
+    validateFallbacks(raw.fallbacks, destinations, errors);
+  }
+
+  if (raw.digests !== undefined) {
+    validateDigests(raw.digests, destinations, errors);
+  }
+
+  ['allowedRecipients', 'news'].forEach(section => {
+    if (raw[section] !== undefined) {
+      validateChannelLists(raw[section], section, destinations, errors);
+    }
+  });
+
+  if (raw.templates !== undefined) {
+    if (!isPlainObject(raw.templates)) {
+      errors.push('templates: must be an object');
+    } else {
+      Object.keys(raw.templates).forEach(key => {
+        if (key !== 'titles') {
+          errors.push(`templates.${key}: unknown template, expected titles`);
+        }
+      });
+      const { titles } = raw.templates;
+      if (titles !== undefined && !isPlainObject(titles)) {
+        errors.push('templates.titles: must be an object of action to title');
+      } else if (titles) {
+        Object.keys(titles).forEach(action => {
+          if (!normalizeAction(action)) {
+            errors.push(`templates.titles.${action}: unknown action`);
+          } else if (typeof titles[action] !== 'string' || !titles[action].trim()) {
+            errors.push(`templates.titles.${action}: must be a non-empty string`);
+          }
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a validated raw configuration into the runtime shape
+ * Destination names are replaced by their IDs and missing sections come from the environment
+ * @param {Object} raw - Validated configuration
+ * @param {string} source - Where the configuration came from
+ * @param {Object} fallback - Environment configuration from buildEnvConfig
+ * @returns {Object} Runtime configuration
+ */
+function normalizeConfig(raw, source, fallback) {
+  const destinations = Object.keys(raw.destinations || {}).reduce((acc, name) => {
+    acc[name] = { channel: raw.destinations[name].channel, id: String(raw.destinations[name].id).trim() };
+    return acc;
+  }, {});
+
+  const resolve = (value) => toList(value).map(entry => (destinations[entry] ? destinations[entry].id : entry));
+  const resolveChannels = (lists = {}, fallbackLists = {}) => CHANNELS.reduce((acc, channel) => {
+    acc[channel] = lists[channel] !== undefined ? resolve(lists[channel]) : resolve(fallbackLists[channel]);
+    return acc;
+  }, {});
+
+  const defaults = raw.defaults || {};
+  const templates = raw.templates || {};
+
+  return {
+    source,
+    channels: CHANNELS.reduce((acc, channel) => {
+      const settings = (raw.channels || {})[channel] || {};
+      acc[channel] = { enabled: settings.enabled !== false };
+      return acc;
+    }, {}),
+    destinations,
+    defaults: SIGNAL_TYPES.reduce((acc, type) => {
+      acc[type] = resolveChannels(defaults[type], fallback.defaults[type]);
+      return acc;
+    }, {}),
+    routes: (raw.routes || fallback.routes).map(rule => {
+      const resolved = { ...rule };
+      CHANNELS.forEach(channel => {
+        if (rule[channel] !== undefined) {
+          resolved[channel] = resolve(rule[channel]);
+        }
+      });
+      return resolved;
+    }),
+    // Keyed by "channel|id" of the primary destination
+    fallbacks: Object.keys(raw.fallbacks || {}).reduce((acc, primary) => {
+      const { channel, id } = destinations[primary];
+      acc[`${channel}|${id}`] = toList(raw.fallbacks[primary]).map(name => ({ name, ...destinations[name] }));
+      return acc;
+    }, {}),
+    allowedRecipients: resolveChannels(raw.allowedRecipients, fallback.allowedRecipients),
+    templates: {
+      titles: Object.keys(templates.titles || {}).reduce((acc, action) => {
+        acc[normalizeAction(action)] = templates.titles[action].trim();
+        return acc;
+      }, {})
+    },
+    news: resolveChannels(raw.news, fallback.news),
+    digests: (raw.digests || fallback.digests).map(digest => ({
+      name: digest.name.trim(),
+      schedule: digest.schedule,
+      timezone: digest.timezone || null,
+      // An explicit lookback wins over the period
+      lookbackHours: digest.lookbackHours || DIGEST_PERIODS[digest.period || 'day'],
+      period: digest.lookbackHours ? null : digest.period || 'day',
+      title: digest.title ? digest.title.trim() : null,
+      enabled: digest.enabled !== false,
+      ...CHANNELS.reduce((acc, channel) => {
+        acc[channel] = resolve(digest[channel]);
+        return acc;
+      }, {})
+    }))
+  };
+}
+
+/**
+ * Read and parse the configuration file, YAML for .yml/.yaml and JSON otherwise
+ * @param {string} filePath - Absolute file path
+ * @returns {Object} Parsed file contents
+ */
+function readConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.yml' || extension === '.yaml') {
+    return yaml.load(content, { filename: filePath }) || {};
+  }
+  return JSON.parse(content);
+}
+
+const configFile = process.env.CONFIG_FILE ? path.resolve(process.env.CONFIG_FILE) : null;
+
+const status = {
+  source: null,
+  loadedAt: null,
+  reloads: 0,
+  lastError: null,
+  lastErrorAt: null
+};
+
+let currentConfig = null;
+let watcher = null;
+let reloadTimer = null;
+const listeners = [];
+
+/**
+ * Listen for configuration loads, the first one at startup included
+ * @param {Function} listener - (config) => void
+ */
+function onConfigChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Load the configuration from CONFIG_FILE (or the environment when unset)
+ * @returns {Object} Runtime configuration
+ * @throws {Error} When the file can't be read, parsed or validated, listing every problem
+ */
+function loadConfig() {
+  if (!configFile) {
+    const env = buildEnvConfig(loadEnvRoutes());
+    return normalizeConfig(env, 'env', env);
+  }
+
+  let raw;
+  try {
+    raw = readConfigFile(configFile);
+  } catch (error) {
+    throw new Error(`Failed to read ${configFile}: ${error.message}`);
+  }
+
+  const errors = validateConfig(raw);
+  if (errors.length > 0) {
+    throw createValidationError(`Invalid configuration in ${configFile}`, errors);
+  }
+
+  // Environment routes only apply when the file has none
+  const env = buildEnvConfig(raw.routes === undefined ? loadEnvRoutes() : []);
+  return normalizeConfig(raw, configFile, env);
+}
+
+/**
+ * Reload the configuration, keeping the current one when the new version is invalid
+ * @param {string} reason - What triggered the reload (startup, file change, SIGHUP)
+ * @returns {Object} { success: true, config } or { success: false, error, errors }
+ */
+function reloadConfig(reason = 'manual') {
+  try {
+    const config = loadConfig();
+    const isReload = currentConfig !== null;
+    currentConfig = config;
+
+    status.source = config.source;
+    status.loadedAt = new Date().toISOString();
+    status.lastError = null;
+    status.lastErrorAt = null;
+    if (isReload) {
+      status.reloads++;
+    }
+
+    log('info', `Configuration ${isReload ? 'reloaded' : 'loaded'}`, {
+      reason,
+      source: config.source,
+      destinations: Object.keys(config.destinations).length,
+      routes: config.routes.map((rule, index) => rule.name || `rule-${index}`),
+      channels: config.channels,
+      digests: config.digests.map(digest => digest.name)
+    });
+
+    listeners.forEach(listener => {
+      try {
+        listener(config);
+      } catch (error) {
+        log('error', 'Configuration listener failed', { error: error.message });
+      }
+    });
+
+    return { success: true, config };
+  } catch (error) {
+    status.lastError = error.message;
+    status.lastErrorAt = new Date().toISOString();
+
+    log('error', currentConfig ? 'Rejected configuration change, keeping the previous configuration' : 'Failed to load configuration', {
+      reason,
+      error: error.message
+    });
+
+    return { success: false, error: error.message, errors: error.validationErrors || [error.message] };
+  }
+}
+
+/**
+ * Get the active configuration, loading it on first use
+ * @returns {Object} Runtime configuration
+ * @throws {Error} When the first load fails, there is no previous configuration to keep
+ */
+function getConfig() {
+  if (!currentConfig) {
+    const result = reloadConfig('startup');
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+  return currentConfig;
+}
+
+/**
+ * Watch CONFIG_FILE and reload it when it changes
+ * The directory is watched so editors that replace the file on save are picked up too
+ */
+function watchConfig() {
+  if (!configFile || watcher) {
+    return;
+  }
+
+  try {
+    watcher = fs.watch(path.dirname(configFile), (eventType, filename) => {
+      if (filename && filename !== path.basename(configFile)) {
+        return;
+      }
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => reloadConfig('file change'), RELOAD_DEBOUNCE_MS);
+    });
+    watcher.unref();
+    log('info', `Watching ${configFile} for changes`);
+  } catch (error) {
+    log('warn', 'Could not watch configuration file, use SIGHUP to reload', {
+      file: configFile,
+      error: error.message
+    });
+  }
+}
+
+function stopWatching() {
+  clearTimeout(reloadTimer);
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+}
+
+/**
+ * Get configuration source and reload status
+ * @returns {Object} Config status
+ */
+function getConfigStatus() {
+  return { file: configFile, watching: watcher !== null, ...status };
+}
+
+module.exports = {
+  getConfig,
+  reloadConfig,
+  validateConfig,
+  watchConfig,
+  stopWatching,
+  getConfigStatus,
+  onConfigChange,
+  CHANNELS
+};
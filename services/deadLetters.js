@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const DeadLetter = require('../models/deadLetter');
+const outboundQueue = require('./outboundQueue');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] DEAD_LETTER ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// Without MongoDB the most recent dead letters are kept in memory
+const MAX_CACHED_DEAD_LETTERS = 500;
+// Upper bound for one bulk replay so a wide time range can't flood the queue
+const MAX_BULK_REPLAY = parseInt(process.env.DEAD_LETTER_MAX_BULK_REPLAY, 10) || 200;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const deadLetters = new Map();
+
+function isMongoConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+function cacheDeadLetter(deadLetter) {
+  deadLetters.set(deadLetter.deadLetterId, deadLetter);
+  if (deadLetters.size > MAX_CACHED_DEAD_LETTERS) {
+    deadLetters.delete(deadLetters.keys().next().value);
+  }
+}
+
+// Query string values may be arrays or objects ("?channel[$ne]=x"), only plain strings reach the query
+const toFilterValue = (value) => (value === undefined || value === null || value === '' ? undefined : String(value));
+
+// Build a MongoDB filter and an equivalent in-memory predicate from list filters
+function buildFilter(filters = {}) {
+  const channel = toFilterValue(filters.channel);
+  const destination = toFilterValue(filters.destination);
+  const jobId = toFilterValue(filters.jobId);
+  const status = toFilterValue(filters.status);
+  const { from, to } = filters;
+  const query = {};
+  if (channel) query.channel = channel;
+  if (destination) query.destination = destination;
+  if (jobId) query.jobId = jobId;
+  if (status) query.status = status;
+  if (from || to) {
+    query.failedAt = {};
+    if (from) query.failedAt.$gte = from;
+    if (to) query.failedAt.$lte = to;
+  }
+
+  const matches = (deadLetter) =>
+    (!channel || deadLetter.channel === channel) &&
+    (!destination || deadLetter.destination === destination) &&
+    (!jobId || deadLetter.jobId === jobId) &&
+    (!status || deadLetter.status === status) &&
+    (!from || deadLetter.failedAt >= from) &&
+    (!to || deadLetter.failedAt <= to);
+
+  return { query, matches };
+}
+
+/**
+ * Store an outbound message that ran out of attempts
+ * @param {Object} message - Public outbound message (see outboundQueue.toPublicMessage)
+ * @param {Object} content - Rendered content ({ text, imageUrl }) for inspection
+ * @returns {Promise<Object>} Stored dead letter
+ */
+async function record(message, content = null) {
+  const deadLetter = {
+    deadLetterId: crypto.randomUUID(),
+    messageId: message.messageId,
+    jobId: message.jobId,
+    channel: message.channel,
+    destination: message.destination,
+    status: 'dead',
+    payload: message.payload,
+    content,
+    lastError: message.lastError,
+    providerResponse: message.lastResponse,
+    attempts: message.attempts,
+    history: message.history,
+    failedAt: message.settledAt ? new Date(message.settledAt) : new Date(),
+    replays: [],
+    replayedAt: null
+  };
+
+  cacheDeadLetter(deadLetter);
+
+  if (isMongoConnected()) {
+    try {
+      await DeadLetter.create(deadLetter);
+    } catch (error) {
+      log('error', 'Failed to persist dead letter', { deadLetterId: deadLetter.deadLetterId, error: error.message });
+    }
+  }
+
+  log('warn', 'Message moved to dead letters', {
+    deadLetterId: deadLetter.deadLetterId,
+    channel: deadLetter.channel,
+    destination: deadLetter.destination,
+    jobId: deadLetter.jobId,
+    error: deadLetter.lastError
+  });
+
+  return deadLetter;
+}
+
+/**
+ * List dead letters, newest first
+ * @param {Object} filters - channel, destination, jobId, status, from, to (Dates), limit, skip
+ * @returns {Promise<Object>} { total, limit, skip, items }
+ */
+async function list(filters = {}) {
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const skip = Math.max(parseInt(filters.skip, 10) || 0, 0);
+  const { query, matches } = buildFilter(filters);
+
+  if (isMongoConnected()) {
+    try {
+      const [total, items] = await Promise.all([
+        DeadLetter.countDocuments(query),
+        DeadLetter.find(query, { _id: 0, __v: 0 }).sort({ failedAt: -1 }).skip(skip).limit(limit).lean()
+      ]);
+      return { total, limit, skip, items };
+    } catch (error) {
+      log('error', 'Failed to list dead letters', { error: error.message });
+    }
+  }
+
+  const all = [...deadLetters.values()].filter(matches).sort((a, b) => b.failedAt - a.failedAt);
+  return { total: all.length, limit, skip, items: all.slice(skip, skip + limit) };
+}
+
+/**
+ * Look up a dead letter
+ * @param {string} deadLetterId - Dead letter ID
+ * @returns {Promise<Object|null>} Dead letter or null if unknown
+ */
+async function get(deadLetterId) {
+  if (deadLetters.has(deadLetterId)) {
+    return deadLetters.get(deadLetterId);
+  }
+
+  if (!isMongoConnected()) {
+    return null;
+  }
+
+  try {
+    return await DeadLetter.findOne({ deadLetterId }, { _id: 0, __v: 0 }).lean();
+  } catch (error) {
+    log('error', 'Failed to load dead letter', { deadLetterId, error: error.message });
+    return null;
+  }
+}
+
+function setCachedStatus(deadLetterId, status) {
+  if (deadLetters.has(deadLetterId)) {
+    deadLetters.get(deadLetterId).status = status;
+  }
+}
+
+/**
+ * Mark a dead letter as being replayed, so a second replay request can't queue it again
+ * The in-memory flag is set before anything is awaited, MongoDB is claimed with a conditional update
+ * @param {string} deadLetterId - Dead letter ID
+ * @param {string} previousStatus - Status to restore when another replay holds it already
+ * @returns {Promise<boolean>} False when another replay is in progress
+ */
+async function claimForReplay(deadLetterId, previousStatus) {
+  const cached = deadLetters.get(deadLetterId);
+  if (cached?.status === 'replaying') {
+    return false;
+  }
+  setCachedStatus(deadLetterId, 'replaying');
+
+  if (!isMongoConnected()) {
+    return true;
+  }
+
+  try {
+    const claimed = await DeadLetter.findOneAndUpdate(
+      { deadLetterId, status: { $ne: 'replaying' } },
+      { $set: { status: 'replaying' } }
+    );
+    // Not claimed: either another replay holds it, or it only exists in memory
+    if (claimed || !(await DeadLetter.exists({ deadLetterId }))) {
+      return true;
+    }
+  } catch (error) {
+    log('error', 'Failed to claim dead letter for replay', { deadLetterId, error: error.message });
+    return true;
+  }
+
+  setCachedStatus(deadLetterId, previousStatus);
+  return false;
+}
+
+async function releaseClaim(deadLetterId, previousStatus) {
+  setCachedStatus(deadLetterId, previousStatus);
+
+  if (isMongoConnected()) {
+    try {
+      await DeadLetter.updateOne({ deadLetterId, status: 'replaying' }, { $set: { status: previousStatus } });
+    } catch (error) {
+      log('error', 'Failed to release dead letter', { deadLetterId, error: error.message });
+    }
+  }
+}
+
+async function markReplayed(deadLetter, replay) {
+  const replays = [...(deadLetter.replays || []), replay];
+  const updates = { status: 'replayed', replays, replayedAt: replay.at };
+
+  if (deadLetters.has(deadLetter.deadLetterId)) {
+    Object.assign(deadLetters.get(deadLetter.deadLetterId), updates);
+  }
+
+  if (isMongoConnected()) {
+    try {
+      await DeadLetter.updateOne({ deadLetterId: deadLetter.deadLetterId }, { $set: updates });
+    } catch (error) {
+      log('error', 'Failed to update dead letter', { deadLetterId: deadLetter.deadLetterId, error: error.message });
+    }
+  }
+
+  return { ...deadLetter, ...updates };
+}
+
+/**
+ * Queue a dead letter for delivery again, to its original destination
+ * The new message gets a fresh set of attempts and stays linked to the original job
+ * @param {string} deadLetterId - Dead letter ID
+ * @returns {Promise<Object|null>} { deadLetter, message }, { deadLetter, inProgress: true } while
+ *   another replay of it is running, or null if unknown
+ */
+async function replay(deadLetterId) {
+  const deadLetter = await get(deadLetterId);
+  if (!deadLetter) {
+    return null;
+  }
+
+  const previousStatus = deadLetter.status === 'replaying' ? 'dead' : deadLetter.status;
+  if (deadLetter.status === 'replaying' || !(await claimForReplay(deadLetterId, previousStatus))) {
+    log('warn', 'Dead letter is already being replayed', { deadLetterId });
+    return { deadLetter, inProgress: true };
+  }
+
+  let message;
+  try {
+    [message] = await outboundQueue.enqueue([{
+      jobId: deadLetter.jobId,
+      channel: deadLetter.channel,
+      destination: deadLetter.destination,
+      payload: deadLetter.payload
+    }]);
+  } catch (error) {
+    await releaseClaim(deadLetterId, previousStatus);
+    throw error;
+  }
+
+  const updated = await markReplayed(deadLetter, { messageId: message.messageId, at: new Date() });
+
+  log('info', 'Dead letter replayed', {
+    deadLetterId,
+    channel: deadLetter.channel,
+    destination: deadLetter.destination,
+    messageId: message.messageId
+  });
+
+  return { deadLetter: updated, message };
+}
+
+/**
+ * Replay every dead letter that failed inside a time range
+ * Already replayed letters are skipped unless includeReplayed is set
+ * @param {Object} params - from, to (Dates), optional channel, destination, includeReplayed
+ * @returns {Promise<Object>} { matched, replayed, truncated, results: [{ deadLetterId, messageId }] }
+ */
+async function replayRange({ from, to, channel, destination, includeReplayed = false }) {
+  const { items, total } = await list({
+    from,
+    to,
+    channel,
+    destination,
+    status: includeReplayed ? undefined : 'dead',
+    limit: MAX_BULK_REPLAY
+  });
+
+  const results = [];
+  // Oldest first so a group receives the missed signals in their original order
+  for (const deadLetter of [...items].reverse()) {
+    const replayed = await replay(deadLetter.deadLetterId);
+    if (replayed?.message) {
+      results.push({ deadLetterId: deadLetter.deadLetterId, messageId: replayed.message.messageId });
+    }
+  }
+
+  return {
+    matched: total,
+    replayed: results.length,
+    truncated: total > items.length,
+    results
+  };
+}
+
+/**
+ * Delete a dead letter
+ * @param {string} deadLetterId - Dead letter ID
+ * @returns {Promise<boolean>} True when something was deleted
+ */
+async function discard(deadLetterId) {
+  let deleted = deadLetters.delete(deadLetterId);
+
+  if (isMongoConnected()) {
+    try {
+      const result = await DeadLetter.deleteOne({ deadLetterId });
+      deleted = deleted || result.deletedCount > 0;
+    } catch (error) {
+      log('error', 'Failed to discard dead letter', { deadLetterId, error: error.message });
+    }
+  }
+
+  if (deleted) {
+    log('info', 'Dead letter discarded', { deadLetterId });
+  }
+  return deleted;
+}
+
+module.exports = {
+  record,
+  list,
+  get,
+  replay,
+  replayRange,
+  discard,
+  MAX_BULK_REPLAY
+};
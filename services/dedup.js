@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookDedup = require('../models/webhookDedup');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] DEDUP ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// Deduplication window in seconds (0 disables deduplication)
+const DEDUP_WINDOW_SECONDS = process.env.WEBHOOK_DEDUP_WINDOW_SECONDS !== undefined
+  ? parseInt(process.env.WEBHOOK_DEDUP_WINDOW_SECONDS, 10) || 0
+  : 300;
+
+// Payload fields that carry an explicit alert identifier
+const ALERT_ID_FIELDS = ['alert_id', 'alertid'];
+
+// In-process view of claimed keys, so concurrent copies are caught before MongoDB answers
+const recentKeys = new Map();
+
+function isMongoConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+function isEnabled() {
+  return DEDUP_WINDOW_SECONDS > 0;
+}
+
+// Recursively sort keys, lowercase them and trim string values
+function normalizeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .map(key => [key.toLowerCase(), normalizeValue(value[key])])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .reduce((acc, [key, normalized]) => {
+        acc[key] = normalized;
+        return acc;
+      }, {});
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return value;
+}
+
+/**
+ * Build the deduplication key for a webhook payload
+ * Uses the explicit alert_id when present, otherwise a hash of the normalized payload
+ * @param {Object|string} payload - Webhook payload
+ * @returns {string} Deduplication key
+ */
+function buildKey(payload) {
+  if (payload && typeof payload === 'object') {
+    const alertIdField = Object.keys(payload).find(key => ALERT_ID_FIELDS.includes(key.toLowerCase()));
+    const alertId = alertIdField ? payload[alertIdField] : null;
+    if (alertId !== null && alertId !== undefined && String(alertId).trim() !== '') {
+      return `alert:${String(alertId).trim()}`;
+    }
+  }
+
+  const normalized = JSON.stringify(normalizeValue(payload));
+  return `hash:${crypto.createHash('sha256').update(normalized).digest('hex')}`;
+}
+
+function pruneRecentKeys() {
+  const now = Date.now();
+  for (const [key, entry] of recentKeys) {
+    if (entry.expiresAt <= now) {
+      recentKeys.delete(key);
+    }
+  }
+}
+
+/**
+ * Claim a deduplication key for a new job
+ * @param {string} key - Deduplication key
+ * @param {string} jobId - ID of the job that will deliver this alert
+ * @returns {Promise<Object>} { claimed: true } or { claimed: false, jobId } of the original job
+ */
+async function claim(key, jobId) {
+  if (!isEnabled()) {
+    return { claimed: true };
+  }
+
+  pruneRecentKeys();
+
+  const existing = recentKeys.get(key);
+  if (existing) {
+    return { claimed: false, jobId: existing.jobId };
+  }
+
+  const now = Date.now();
+  const expiresAt = now + DEDUP_WINDOW_SECONDS * 1000;
+  recentKeys.set(key, { jobId, expiresAt });
+
+  if (!isMongoConnected()) {
+    return { claimed: true };
+  }
+
+  try {
+    await WebhookDedup.create({ key, jobId, createdAt: new Date(now), expiresAt: new Date(expiresAt) });
+    return { claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      log('error', 'Failed to store deduplication key', { key, error: error.message });
+      return { claimed: true };
+    }
+  }
+
+  // Key already stored (e.g. before a restart) - take it over only if its window has passed
+  try {
+    const takenOver = await WebhookDedup.findOneAndUpdate(
+      { key, expiresAt: { $lte: new Date(now) } },
+      { $set: { jobId, createdAt: new Date(now), expiresAt: new Date(expiresAt) } },
+      { new: true }
+    );
+    if (takenOver) {
+      return { claimed: true };
+    }
+
+    const stored = await WebhookDedup.findOne({ key }).lean();
+    if (stored) {
+      recentKeys.set(key, { jobId: stored.jobId, expiresAt: stored.expiresAt.getTime() });
+      return { claimed: false, jobId: stored.jobId };
+    }
+  } catch (error) {
+    log('error', 'Failed to look up deduplication key', { key, error: error.message });
+  }
+
+  return { claimed: true };
+}
+
+/**
+ * Release a key so the same alert can be delivered again
+ * Used when the original job failed on every channel
+ * @param {string} key - Deduplication key
+ */
+async function release(key) {
+  if (!key) {
+    return;
+  }
+
+  recentKeys.delete(key);
+
+  if (isMongoConnected()) {
+    try {
+      await WebhookDedup.deleteOne({ key });
+    } catch (error) {
+      log('error', 'Failed to release deduplication key', { key, error: error.message });
+    }
+  }
+}
+
+module.exports = {
+  buildKey,
+  claim,
+  release,
+  isEnabled,
+  DEDUP_WINDOW_SECONDS
+};
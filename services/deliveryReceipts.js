@@ -0,0 +1,270 @@
+const mongoose = require('mongoose');
+const DeliveryReceipt = require('../models/deliveryReceipt');
+const outboundQueue = require('./outboundQueue');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] RECEIPTS ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// Without MongoDB the most recent receipts are kept in memory
+const MAX_CACHED_RECEIPTS = 5000;
+
+// Whapi status names mapped to funnel stages; "played" is a read voice/video note,
+// "pending" and "deleted" don't move a message through the funnel
+const WHAPI_STATUSES = {
+  sent: 'sent',
+  server: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  played: 'read',
+  failed: 'failed',
+  error: 'failed'
+};
+
+// Funnel stages in order; a receipt never moves back to an earlier stage
+const STAGES = ['sent', 'delivered', 'read'];
+
+const receipts = new Map();
+
+const stats = {
+  received: 0,
+  recorded: 0,
+  unmatched: 0,
+  ignored: 0,
+  lastEventAt: null
+};
+
+function isMongoConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+const receiptKey = (providerMessageId, recipient) => `${providerMessageId}|${recipient}`;
+
+function cacheReceipt(receipt) {
+  const key = receiptKey(receipt.providerMessageId, receipt.recipient);
+  receipts.delete(key);
+  receipts.set(key, receipt);
+  if (receipts.size > MAX_CACHED_RECEIPTS) {
+    receipts.delete(receipts.keys().next().value);
+  }
+}
+
+async function loadReceipt(providerMessageId, recipient) {
+  const cached = receipts.get(receiptKey(providerMessageId, recipient));
+  if (cached || !isMongoConnected()) {
+    return cached || null;
+  }
+
+  try {
+    return await DeliveryReceipt.findOne({ providerMessageId, recipient }, { _id: 0, __v: 0 }).lean();
+  } catch (error) {
+    log('error', 'Failed to load delivery receipt', { providerMessageId, recipient, error: error.message });
+    return null;
+  }
+}
+
+// Whapi timestamps are unix seconds
+function parseTimestamp(value) {
+  const seconds = parseInt(value, 10);
+  return isNaN(seconds) ? new Date() : new Date(seconds * 1000);
+}
+
+/**
+ * Apply one status update to a recipient's receipt
+ * @param {Object} message - Public outbound message the provider message belongs to
+ * @param {Object} update - { providerMessageId, recipient, status, at, error }
+ * @returns {Promise<Object>} Updated receipt
+ */
+async function applyStatus(message, { providerMessageId, recipient, status, at, error }) {
+  const existing = await loadReceipt(providerMessageId, recipient);
+  const receipt = existing ? { ...existing } : {
+    providerMessageId,
+    recipient,
+    messageId: message.messageId,
+    jobId: message.jobId,
+    channel: message.channel,
+    destination: message.destination,
+    status
+  };
+
+  receipt[`${status}At`] = receipt[`${status}At`] || at;
+
+  if (status === 'failed') {
+    receipt.error = error || receipt.error || null;
+    // A message that already reached the phone stays delivered
+    if (STAGES.indexOf(receipt.status) < STAGES.indexOf('delivered')) {
+      receipt.status = 'failed';
+    }
+  } else if (receipt.status === 'failed' || STAGES.indexOf(status) > STAGES.indexOf(receipt.status)) {
+    receipt.status = status;
+  }
+  receipt.updatedAt = new Date();
+
+  cacheReceipt(receipt);
+
+  if (isMongoConnected()) {
+    try {
+      await DeliveryReceipt.updateOne({ providerMessageId, recipient }, { $set: receipt }, { upsert: true });
+    } catch (dbError) {
+      log('error', 'Failed to persist delivery receipt', { providerMessageId, recipient, error: dbError.message });
+    }
+  }
+
+  return receipt;
+}
+
+/**
+ * Record the status callbacks of a Whapi event
+ * Other event types (incoming messages, chats, ...) are ignored
+ * @param {Object} event - Whapi webhook body, { statuses: [{ id, status, recipient_id, timestamp }], event: { type } }
+ * @returns {Promise<Object>} { received, recorded, unmatched, ignored }
+ */
+async function handleWhapiEvent(event) {
+  const statuses = Array.isArray(event?.statuses) ? event.statuses : [];
+  const summary = { received: statuses.length, recorded: 0, unmatched: 0, ignored: 0 };
+
+  for (const entry of statuses) {
+    const status = WHAPI_STATUSES[String(entry?.status || '').toLowerCase()];
+    if (!entry?.id || !status) {
+      summary.ignored++;
+      continue;
+    }
+
+    const message = await outboundQueue.findByProviderMessageId('whatsapp', entry.id);
+    if (!message) {
+      // Not one of ours (news posts, messages sent from the phone) or already expired
+      summary.unmatched++;
+      continue;
+    }
+
+    await applyStatus(message, {
+      providerMessageId: String(entry.id),
+      recipient: String(entry.recipient_id || entry.chat_id || message.destination),
+      status,
+      at: parseTimestamp(entry.timestamp),
+      error: entry.errors?.[0]?.message || entry.error?.message || entry.error
+    });
+    summary.recorded++;
+  }
+
+  stats.received += summary.received;
+  stats.recorded += summary.recorded;
+  stats.unmatched += summary.unmatched;
+  stats.ignored += summary.ignored;
+  if (summary.received > 0) {
+    stats.lastEventAt = new Date().toISOString();
+  }
+
+  if (summary.recorded > 0 || summary.unmatched > 0) {
+    log('info', 'Whapi status event processed', summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Receipts recorded for a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Array<Object>>} Receipts
+ */
+async function getReceiptsForJob(jobId) {
+  const found = new Map();
+
+  if (isMongoConnected()) {
+    try {
+      const stored = await DeliveryReceipt.find({ jobId }, { _id: 0, __v: 0 }).lean();
+      stored.forEach(receipt => found.set(receiptKey(receipt.providerMessageId, receipt.recipient), receipt));
+    } catch (error) {
+      log('error', 'Failed to load delivery receipts', { jobId, error: error.message });
+    }
+  }
+
+  for (const [key, receipt] of receipts) {
+    if (receipt.jobId === jobId) {
+      found.set(key, receipt);
+    }
+  }
+
+  return [...found.values()];
+}
+
+// Recipients per stage; later stages count for the earlier ones too (read implies delivered)
+function countStages(list) {
+  const counts = { recipients: list.length, sent: 0, delivered: 0, read: 0, failed: 0 };
+  for (const receipt of list) {
+    if (receipt.status === 'failed') {
+      counts.failed++;
+      continue;
+    }
+    STAGES.slice(0, STAGES.indexOf(receipt.status) + 1).forEach(stage => counts[stage]++);
+  }
+  return counts;
+}
+
+/**
+ * Delivery funnel of a job's WhatsApp messages: queued, accepted by Whapi, then
+ * sent / delivered / read / failed per recipient from the status callbacks
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Funnel with totals and a breakdown per destination
+ */
+async function getFunnel(jobId) {
+  const [messages, jobReceipts] = await Promise.all([
+    outboundQueue.getMessagesForJob(jobId),
+    getReceiptsForJob(jobId)
+  ]);
+
+  const whatsappMessages = messages.filter(message => message.channel === 'whatsapp');
+
+  const destinations = whatsappMessages.map(message => {
+    const messageReceipts = jobReceipts.filter(receipt => receipt.messageId === message.messageId);
+    return {
+      destination: message.destination,
+      messageId: message.messageId,
+      providerMessageId: message.result?.messageId || null,
+      queueStatus: message.status,
+      ...countStages(messageReceipts),
+      receipts: messageReceipts.map(receipt => ({
+        recipient: receipt.recipient,
+        status: receipt.status,
+        sentAt: receipt.sentAt || null,
+        deliveredAt: receipt.deliveredAt || null,
+        readAt: receipt.readAt || null,
+        failedAt: receipt.failedAt || null,
+        error: receipt.error || null
+      }))
+    };
+  });
+
+  return {
+    jobId,
+    channel: 'whatsapp',
+    queued: whatsappMessages.length,
+    accepted: whatsappMessages.filter(message => message.status === 'sent').length,
+    ...countStages(jobReceipts),
+    destinations
+  };
+}
+
+/**
+ * Get receipt counters for monitoring
+ * @returns {Object} Status events received, recorded, unmatched and ignored
+ */
+function getReceiptStats() {
+  return {
+    ...stats,
+    persistent: isMongoConnected(),
+    cached: receipts.size
+  };
+}
+
+module.exports = {
+  handleWhapiEvent,
+  getReceiptsForJob,
+  getFunnel,
+  getReceiptStats
+};
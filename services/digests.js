@@ -0,0 +1,302 @@
+const cron = require('node-cron');
+const appConfig = require('./config');
+const signalHistory = require('./signalHistory');
+const performance = require('./performance');
+const outboundQueue = require('./outboundQueue');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] DIGESTS ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// Scheduled digests: each configured digest runs on its own cron schedule (in its own time zone)
+// and sums up the lookback period: signals per symbol, trades closed in the period with their
+// results, best and worst performers, and the positions still open. The digest data is queued
+// like any other outbound message and rendered for each channel when it is sent.
+
+// Best and worst performers listed at most
+const MAX_PERFORMERS = 3;
+// Closed trades and open positions listed at most, the rest is counted
+const MAX_LISTED_TRADES = parseInt(process.env.DIGEST_MAX_LISTED_TRADES, 10) || 10;
+
+const tasks = new Map();
+const runs = new Map();
+
+// Trade fields shown in a digest, kept small since the digest travels in the message payload
+const pickTrade = (trade) => ({
+  signalId: trade.signalId,
+  symbol: trade.symbol,
+  strategy: trade.strategy,
+  direction: trade.direction,
+  entryPrice: trade.entryPrice,
+  exitPrice: trade.exitPrice,
+  exitAction: trade.exitAction,
+  openedAt: trade.openedAt,
+  closedAt: trade.closedAt,
+  pnlPercent: trade.pnlPercent,
+  rMultiple: trade.rMultiple,
+  outcome: trade.outcome
+});
+
+/**
+ * Gather a digest's content for the period ending now
+ * @param {Object} digest - Digest from the configuration
+ * @param {Date} now - End of the period
+ * @returns {Promise<Object>} { name, title, timezone, from, to, signals, summary, closed, best, worst, open }
+ */
+async function buildDigest(digest, now = new Date()) {
+  const to = now;
+  const from = new Date(now.getTime() - digest.lookbackHours * 60 * 60 * 1000);
+
+  const [bySymbol, { trades: closedTrades }, { trades: openTrades }] = await Promise.all([
+    signalHistory.countBySymbol({ from, to }),
+    performance.getTrades({ positionStatus: 'closed', closedFrom: from, closedTo: to }),
+    performance.getTrades({ positionStatus: 'open' })
+  ]);
+
+  const resolved = closedTrades
+    .filter(trade => trade.outcome)
+    .sort((a, b) => new Date(a.closedAt) - new Date(b.closedAt));
+  // Rank by R when every trade has one, mixing R and percent would compare different things
+  const score = resolved.length > 0 && resolved.every(trade => trade.rMultiple !== null)
+    ? (trade) => trade.rMultiple
+    : (trade) => trade.pnlPercent ?? 0;
+
+  return {
+    name: digest.name,
+    title: digest.title || (digest.period === 'week' ? 'Weekly digest' : 'Daily digest'),
+    timezone: digest.timezone,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    signals: {
+      total: bySymbol.reduce((acc, entry) => acc + entry.count, 0),
+      bySymbol
+    },
+    summary: performance.summarize(closedTrades),
+    closed: resolved.map(pickTrade),
+    best: resolved.filter(trade => trade.outcome === 'win')
+      .sort((a, b) => score(b) - score(a)).slice(0, MAX_PERFORMERS).map(pickTrade),
+    worst: resolved.filter(trade => trade.outcome === 'loss')
+      .sort((a, b) => score(a) - score(b)).slice(0, MAX_PERFORMERS).map(pickTrade),
+    open: openTrades.reverse().map(trade => ({ ...pickTrade(trade), status: trade.status }))
+  };
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const signed = (value, suffix) => `${value > 0 ? '+' : ''}${value}${suffix}`;
+
+// "+1.5R (+2.3%)", whichever of the two the trade has
+function formatResult(trade) {
+  const parts = [
+    trade.rMultiple !== null ? signed(trade.rMultiple, 'R') : null,
+    trade.pnlPercent !== null ? signed(trade.pnlPercent, '%') : null
+  ].filter(Boolean);
+  if (parts.length === 2) {
+    return `${parts[0]} (${parts[1]})`;
+  }
+  return parts[0] || '';
+}
+
+function formatTime(date, timezone) {
+  return new Date(date).toLocaleString('en-GB', {
+    timeZone: timezone || undefined,
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Format a digest as a chat message
+ * @param {string} channel - 'telegram' (HTML parse mode), 'whatsapp' or 'email' (plain text)
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} Message text
+ */
+function formatDigestMessage(channel, digest) {
+  const html = channel === 'telegram';
+  const bold = (text) => (html ? `<b>${escapeHtml(text)}</b>` : channel === 'whatsapp' ? `*${text}*` : String(text));
+  const plain = (text) => (html ? escapeHtml(text) : String(text));
+  const more = (count) => (count > 0 ? [plain(`… and ${count} more`)] : []);
+  const describe = (trade) => plain([trade.symbol, trade.direction].filter(Boolean).join(' '));
+  const { summary } = digest;
+
+  const lines = [`🗓 ${bold(digest.title)}`];
+  lines.push(plain(`${formatTime(digest.from, digest.timezone)} → ${formatTime(digest.to, digest.timezone)}${digest.timezone ? ` (${digest.timezone})` : ''}`));
+  lines.push('');
+
+  if (digest.signals.total === 0) {
+    lines.push(`${bold('Signals:')} none`);
+  } else {
+    const counts = digest.signals.bySymbol.map(entry => `${entry.symbol} ${entry.count}`).join(' · ');
+    lines.push(`${bold('Signals:')} ${digest.signals.total} (${plain(counts)})`);
+  }
+
+  lines.push('');
+  if (digest.closed.length === 0) {
+    lines.push(`${bold('Closed trades:')} none`);
+  } else {
+    const total = [summary.tradesWithR > 0 ? signed(summary.totalR, 'R') : null, signed(summary.totalPercent, '%')].filter(Boolean).join(' · ');
+    lines.push(`${bold('Closed trades:')} ${summary.trades} (${summary.wins}W / ${summary.losses}L / ${summary.breakeven}BE), ${summary.winRate}% win, ${total}`);
+    digest.closed.slice(0, MAX_LISTED_TRADES).forEach(trade => {
+      const icon = trade.outcome === 'win' ? '✅' : trade.outcome === 'loss' ? '❌' : '➖';
+      lines.push(`${icon} ${describe(trade)} ${plain(trade.exitAction || '')} ${formatResult(trade)}`.trimEnd());
+    });
+    lines.push(...more(digest.closed.length - MAX_LISTED_TRADES));
+  }
+
+  if (digest.best.length > 0 || digest.worst.length > 0) {
+    lines.push('');
+    const performers = (trades) => trades.map(trade => `${describe(trade)} ${formatResult(trade)}`).join(' · ');
+    if (digest.best.length > 0) {
+      lines.push(`🏆 ${bold('Best:')} ${performers(digest.best)}`);
+    }
+    if (digest.worst.length > 0) {
+      lines.push(`📉 ${bold('Worst:')} ${performers(digest.worst)}`);
+    }
+  }
+
+  lines.push('');
+  if (digest.open.length === 0) {
+    lines.push(`${bold('Open positions:')} none`);
+  } else {
+    lines.push(`${bold('Open positions:')} ${digest.open.length}`);
+    digest.open.slice(0, MAX_LISTED_TRADES).forEach(trade => {
+      const entry = trade.entryPrice !== null ? plain(` @ ${trade.entryPrice}`) : '';
+      // Running positions already hit a target, show where they stand
+      const progress = trade.exitAction ? ` (${plain(trade.exitAction)} ${formatResult(trade)})` : '';
+      lines.push(`• ${describe(trade)}${entry}${progress}`);
+    });
+    lines.push(...more(digest.open.length - MAX_LISTED_TRADES));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Find a configured digest by name
+ * @param {string} name - Digest name
+ * @returns {Object|null} Digest from the configuration
+ */
+function getDigest(name) {
+  return appConfig.getConfig().digests.find(digest => digest.name === name) || null;
+}
+
+/**
+ * Build a digest and queue it for every configured destination
+ * @param {Object} digest - Digest from the configuration
+ * @param {string} reason - What triggered the run ('schedule' or 'manual')
+ * @returns {Promise<Object>} { name, queued, content }
+ */
+async function sendDigest(digest, reason = 'manual') {
+  const config = appConfig.getConfig();
+  const startedAt = new Date();
+
+  try {
+    const content = await buildDigest(digest, startedAt);
+    const items = [];
+    appConfig.CHANNELS.filter(channel => config.channels[channel].enabled).forEach(channel => {
+      digest[channel].forEach(destination => items.push({ channel, destination, payload: { digest: content } }));
+    });
+
+    if (items.length === 0) {
+      log('warn', 'Digest has no destination on an enabled channel, nothing sent', { name: digest.name });
+    } else {
+      await outboundQueue.enqueue(items);
+    }
+
+    runs.set(digest.name, { at: startedAt, reason, queued: items.length, error: null });
+    log('info', 'Digest queued', {
+      name: digest.name,
+      reason,
+      destinations: items.length,
+      signals: content.signals.total,
+      closedTrades: content.closed.length,
+      openPositions: content.open.length
+    });
+
+    return { name: digest.name, queued: items.length, content };
+  } catch (error) {
+    runs.set(digest.name, { at: startedAt, reason, queued: 0, error: error.message });
+    log('error', 'Failed to build digest', { name: digest.name, reason, error: error.message });
+    throw error;
+  }
+}
+
+function stopDigests() {
+  tasks.forEach(task => task.destroy());
+  tasks.clear();
+}
+
+// Replace every scheduled task with the digests of the given configuration
+function scheduleDigests(config) {
+  stopDigests();
+
+  config.digests.filter(digest => digest.enabled).forEach(digest => {
+    const task = cron.schedule(digest.schedule, () => {
+      sendDigest(digest, 'schedule').catch(() => {});
+    }, {
+      name: `digest:${digest.name}`,
+      timezone: digest.timezone || undefined
+    });
+    tasks.set(digest.name, task);
+  });
+
+  if (config.digests.length > 0) {
+    log('info', 'Digests scheduled', {
+      digests: config.digests.map(digest => ({
+        name: digest.name,
+        schedule: digest.schedule,
+        timezone: digest.timezone,
+        enabled: digest.enabled
+      }))
+    });
+  }
+}
+
+/**
+ * Schedule the configured digests and follow configuration reloads
+ */
+function start() {
+  scheduleDigests(appConfig.getConfig());
+  appConfig.onConfigChange(scheduleDigests);
+}
+
+/**
+ * Get configured digests with their next and last runs
+ * @returns {Array<Object>} Digest stats
+ */
+function getDigestStats() {
+  return appConfig.getConfig().digests.map(digest => {
+    const task = tasks.get(digest.name);
+    const nextRun = task ? task.getNextRun() : null;
+    return {
+      name: digest.name,
+      schedule: digest.schedule,
+      timezone: digest.timezone,
+      lookbackHours: digest.lookbackHours,
+      enabled: digest.enabled,
+      destinations: appConfig.CHANNELS.reduce((acc, channel) => acc + digest[channel].length, 0),
+      nextRunAt: nextRun ? nextRun.toISOString() : null,
+      lastRun: runs.get(digest.name) || null
+    };
+  });
+}
+
+module.exports = {
+  buildDigest,
+  formatDigestMessage,
+  getDigest,
+  sendDigest,
+  start,
+  stop: stopDigests,
+  getDigestStats
+};
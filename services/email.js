@@ -0,0 +1,166 @@
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+const { formatHeadline } = require('./signalActions');
+const circuitBreaker = require('./circuitBreaker');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] EMAIL ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+const smtpBreaker = circuitBreaker.getBreaker('email');
+
+// Email service over SMTP, used as the last step of fallback chains
+class EmailService {
+  constructor() {
+    this.host = process.env.SMTP_HOST;
+    this.port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    this.secure = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : this.port === 465;
+    this.user = process.env.SMTP_USER;
+    this.from = process.env.EMAIL_FROM || this.user;
+
+    this.transporter = this.host
+      ? nodemailer.createTransport({
+        host: this.host,
+        port: this.port,
+        secure: this.secure,
+        auth: this.user ? { user: this.user, pass: process.env.SMTP_PASS } : undefined
+      })
+      : null;
+
+    this.initializeService();
+  }
+
+  initializeService() {
+    if (!this.transporter || !this.from) {
+      log('warn', 'SMTP_HOST or EMAIL_FROM not configured, email fallbacks are disabled');
+      return;
+    }
+
+    log('info', 'Email service initialized successfully', {
+      host: this.host,
+      port: this.port,
+      secure: this.secure,
+      from: this.from
+    });
+  }
+
+  /**
+   * Format number to reduce decimal places
+   * @param {string|number} value - Value to format
+   * @param {number} maxDecimals - Maximum number of decimal places (default: 4)
+   * @returns {string} Formatted value
+   */
+  formatNumber(value, maxDecimals = 4) {
+    const strValue = String(value ?? '').trim();
+    if (/^-?\d+\.?\d*$/.test(strValue)) {
+      return parseFloat(strValue).toFixed(maxDecimals).replace(/\.?0+$/, '');
+    }
+    return strValue;
+  }
+
+  /**
+   * Format a trading signal as a plain-text email, same layout as the chat messages
+   * @param {Object} signal - Trading signal data object
+   * @returns {Object} { subject, text }
+   */
+  formatTradingMessage(signal) {
+    const { title, datetime, action, symbol, price, ...otherProps } = signal;
+    const headline = formatHeadline('email', action, symbol, this.formatNumber(price));
+
+    let text = `${title}\n${datetime || new Date().toISOString()}\n\n${headline}`;
+
+    const excludedKeys = ['title', 'datetime', 'action', 'symbol', 'price'];
+    const additionalProps = Object.keys(otherProps)
+      .filter(key => !excludedKeys.includes(key.toLowerCase()) && otherProps[key] !== undefined && otherProps[key] !== null && otherProps[key] !== '');
+
+    if (additionalProps.length > 0) {
+      text += '\n';
+      additionalProps.forEach(key => {
+        const formattedKey = key.toUpperCase().replace(/[^A-Z0-9]/g, '');
+        text += `\n${formattedKey}: ${this.formatNumber(otherProps[key])}`;
+      });
+    }
+
+    return {
+      subject: title ? `${title} - ${headline}` : headline,
+      text
+    };
+  }
+
+  /**
+   * Send an email
+   * @param {string} to - Recipient address, or several separated by commas
+   * @param {Object} message - { subject, text, attachments }
+   * @returns {Promise<Object>} { success, messageId, response }
+   */
+  async sendMail(to, { subject, text, attachments = [] }) {
+    if (!this.transporter || !this.from) {
+      throw Object.assign(new Error('SMTP_HOST and EMAIL_FROM must be set in environment variables'), { retryable: false });
+    }
+
+    try {
+      const info = await smtpBreaker.exec(() => this.transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        text,
+        attachments
+      }));
+
+      log('info', 'Email sent successfully', { to, messageId: info.messageId });
+
+      return {
+        success: true,
+        messageId: info.messageId,
+        response: info.response
+      };
+    } catch (error) {
+      // Permanent SMTP rejections (5xx: unknown mailbox, relay denied) won't succeed on retry
+      if (error.responseCode >= 500) {
+        error.retryable = false;
+      }
+
+      log('error', 'Failed to send email', {
+        to,
+        error: error.message,
+        responseCode: error.responseCode
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a formatted trading signal, with the chart attached when its file is available
+   * @param {Object} signalData - Trading signal data object
+   * @param {string|null} chartPath - Path of the saved chart image
+   * @param {string} to - Recipient address(es)
+   * @returns {Promise<Object>} Result from sendMail
+   */
+  async sendFormattedMessage(signalData, chartPath, to) {
+    const { subject, text } = this.formatTradingMessage(signalData);
+    const attachments = chartPath && fs.existsSync(chartPath) ? [{ path: chartPath }] : [];
+    return this.sendMail(to, { subject, text, attachments });
+  }
+
+  validateConfiguration() {
+    const missingVars = ['SMTP_HOST'].filter(varName => !process.env[varName]);
+    if (!this.from) {
+      missingVars.push('EMAIL_FROM');
+    }
+
+    if (missingVars.length > 0) {
+      log('warn', 'Missing required environment variables', { missingVars });
+      return false;
+    }
+
+    log('info', 'Email configuration validated successfully');
+    return true;
+  }
+}
+
+module.exports = EmailService;
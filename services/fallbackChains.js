@@ -0,0 +1,91 @@
+const appConfig = require('./config');
+const outboundQueue = require('./outboundQueue');
+const circuitBreaker = require('./circuitBreaker');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] FALLBACK ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// Cross-channel fallback chains, e.g. WhatsApp VIP group -> Telegram VIP chat -> ops email.
+// A message escalates to the next destination of its chain only once it has used up every
+// attempt. The chain is copied into the payload at the first escalation so a config reload
+// can't change it halfway.
+
+/**
+ * Fallback chain configured for a primary destination
+ * @param {string} channel - Channel of the primary destination
+ * @param {string} destination - Primary destination ID
+ * @returns {Array<Object>} Fallback destinations in order ({ name, channel, id }), empty when none
+ */
+function getFallbackChain(channel, destination) {
+  return appConfig.getConfig().fallbacks[`${channel}|${destination}`] || [];
+}
+
+/**
+ * Queue the next destination of a failed message's fallback chain
+ * Destinations whose provider circuit is open are skipped, unless they are the last resort
+ * @param {Object} message - Public outbound message that ran out of attempts
+ * @returns {Promise<Object|null>} The queued fallback message, or null when the chain is exhausted
+ */
+async function escalate(message) {
+  const { fallback, ...payload } = message.payload || {};
+  const chain = fallback ? fallback.chain : getFallbackChain(message.channel, message.destination);
+  const primary = fallback ? fallback.primary : {
+    outboundId: message.messageId,
+    channel: message.channel,
+    destination: message.destination
+  };
+
+  let hop = fallback ? fallback.hop : 0;
+  while (hop < chain.length - 1 && !circuitBreaker.isAvailable(chain[hop].channel)) {
+    log('warn', 'Skipping fallback destination, its provider circuit is open', {
+      primary,
+      skipped: chain[hop]
+    });
+    hop++;
+  }
+
+  if (hop >= chain.length) {
+    if (chain.length > 0) {
+      log('error', 'Fallback chain exhausted, signal not delivered', { jobId: message.jobId, primary });
+    }
+    return null;
+  }
+
+  const target = chain[hop];
+  const [queued] = await outboundQueue.enqueue([{
+    jobId: message.jobId,
+    channel: target.channel,
+    destination: target.id,
+    payload: {
+      ...payload,
+      fallback: {
+        primary,
+        chain,
+        hop: hop + 1,
+        previousOutboundId: message.messageId
+      }
+    }
+  }]);
+
+  log('warn', 'Escalating to fallback destination', {
+    jobId: message.jobId,
+    primary,
+    failed: { channel: message.channel, destination: message.destination },
+    next: { name: target.name, channel: target.channel, destination: target.id },
+    hop: hop + 1,
+    of: chain.length
+  });
+
+  return queued;
+}
+
+module.exports = {
+  getFallbackChain,
+  escalate
+};
@@ -0,0 +1,176 @@
+const net = require('net');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] IP_FILTER ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// TradingView's published webhook source addresses, usable as the "tradingview" keyword
+const TRADINGVIEW_ALERT_IPS = [
+  '52.89.214.238',
+  '34.212.75.30',
+  '54.218.53.128',
+  '52.32.178.7'
+];
+
+// Keep the per-IP counters bounded so a scan from many addresses can't grow memory forever
+const MAX_TRACKED_IPS = 1000;
+
+const stats = {};
+
+// Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients on dual-stack sockets
+function normalizeIp(ip) {
+  if (!ip) {
+    return '';
+  }
+  return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+/**
+ * Parse a comma-separated list of IPs, CIDR ranges and keywords
+ * @param {string|Array<string>} value - e.g. "tradingview,10.0.0.0/8,2001:db8::/32"
+ * @returns {Array<string>} Expanded list of IPs and CIDR ranges
+ */
+function parseAllowlist(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+
+  return entries
+    .map(entry => String(entry).trim())
+    .filter(Boolean)
+    .flatMap(entry => (entry.toLowerCase() === 'tradingview' ? TRADINGVIEW_ALERT_IPS : [entry]));
+}
+
+/**
+ * Build a BlockList (used here as an allowlist) from IPs and CIDR ranges
+ * @param {Array<string>} entries - IPs or CIDR ranges
+ * @returns {net.BlockList} List of allowed addresses
+ */
+function buildAddressList(entries) {
+  const list = new net.BlockList();
+
+  entries.forEach(entry => {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIPv6(address) ? 'ipv6' : net.isIPv4(address) ? 'ipv4' : null;
+
+    if (!family) {
+      log('warn', 'Ignoring invalid allowlist entry', { entry });
+      return;
+    }
+
+    if (prefix === undefined) {
+      list.addAddress(address, family);
+      return;
+    }
+
+    const prefixLength = parseInt(prefix, 10);
+    const maxPrefix = family === 'ipv4' ? 32 : 128;
+    if (isNaN(prefixLength) || prefixLength < 0 || prefixLength > maxPrefix) {
+      log('warn', 'Ignoring allowlist entry with invalid prefix length', { entry });
+      return;
+    }
+    list.addSubnet(address, prefixLength, family);
+  });
+
+  return list;
+}
+
+function recordBlocked(name, ip) {
+  const filterStats = stats[name];
+  filterStats.blocked++;
+  filterStats.lastBlockedAt = new Date().toISOString();
+
+  if (filterStats.byIp[ip] !== undefined || Object.keys(filterStats.byIp).length < MAX_TRACKED_IPS) {
+    filterStats.byIp[ip] = (filterStats.byIp[ip] || 0) + 1;
+  }
+}
+
+/**
+ * Create an Express middleware that only lets allowlisted client IPs through
+ * The client IP comes from req.ip, so set Express' "trust proxy" to the reverse proxies
+ * in front of the server for X-Forwarded-For to be honoured
+ * @param {string} name - Filter name used in logs and stats (e.g. 'webhook')
+ * @param {string|Array<string>} allowlist - IPs, CIDR ranges or the "tradingview" keyword; empty allows everyone
+ * @returns {Function} Express middleware
+ */
+function createIpFilter(name, allowlist) {
+  const entries = parseAllowlist(allowlist);
+  const addressList = buildAddressList(entries);
+  const enabled = entries.length > 0;
+
+  stats[name] = {
+    enabled,
+    allowlist: entries,
+    allowed: 0,
+    blocked: 0,
+    byIp: {},
+    lastBlockedAt: null
+  };
+
+  if (enabled) {
+    log('info', `IP allowlist active for ${name}`, { entries });
+  }
+
+  return function ipFilter(req, res, next) {
+    if (!enabled) {
+      return next();
+    }
+
+    const ip = normalizeIp(req.ip);
+    const family = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+
+    if (net.isIP(ip) && addressList.check(ip, family)) {
+      stats[name].allowed++;
+      return next();
+    }
+
+    recordBlocked(name, ip);
+    log('warn', `Blocked ${name} request from non-allowlisted IP`, {
+      ip,
+      forwardedFor: req.get('x-forwarded-for'),
+      path: req.originalUrl,
+      totalBlocked: stats[name].blocked
+    });
+
+    res.status(403).json({ error: 'Forbidden' });
+  };
+}
+
+/**
+ * Parse the TRUST_PROXY setting for Express
+ * @param {string} value - "true", a hop count, or comma-separated IPs/CIDRs/keywords (loopback, uniquelocal)
+ * @returns {boolean|number|Array<string>} Value for app.set('trust proxy', ...)
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value === null || value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Get allow/block counters for every filter
+ * @returns {Object} Stats keyed by filter name
+ */
+function getIpFilterStats() {
+  return Object.keys(stats).reduce((acc, name) => {
+    acc[name] = { ...stats[name], byIp: { ...stats[name].byIp } };
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  createIpFilter,
+  parseTrustProxy,
+  getIpFilterStats,
+  TRADINGVIEW_ALERT_IPS
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookJob = require('../models/webhookJob');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] JOBS ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// Recent jobs are served from memory; MongoDB keeps them after they fall out
+const MAX_CACHED_JOBS = 500;
+const jobs = new Map();
+
+function isMongoConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+function cacheJob(job) {
+  jobs.set(job.jobId, job);
+  if (jobs.size > MAX_CACHED_JOBS) {
+    const oldestJobId = jobs.keys().next().value;
+    jobs.delete(oldestJobId);
+  }
+}
+
+// Apply a dot-path update ("channels.whatsapp.status") to a plain object
+function setPath(target, pathKey, value) {
+  const keys = pathKey.split('.');
+  let current = target;
+  keys.slice(0, -1).forEach(key => {
+    if (current[key] === undefined || current[key] === null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Generate a new job ID
+ * @returns {string} Random UUID
+ */
+function generateJobId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Create and persist a new webhook job
+ * @param {Object} params - Job parameters
+ * @param {string} params.type - Job type ('text' or 'signal')
+ * @param {Object} params.payload - Raw webhook payload
+ * @param {Object} params.signalData - Normalized signal data
+ * @param {Array<string>} params.channels - Channels the job will deliver to
+ * @param {string} params.jobId - Optional pre-generated job ID
+ * @param {string} params.dedupKey - Optional deduplication key claimed for this job
+ * @param {Object} params.route - Resolved destinations ({ rules, whatsapp, telegram })
+ * @returns {Promise<Object>} Created job
+ */
+async function createJob({ type, payload, signalData, channels = ['whatsapp', 'telegram'], jobId = generateJobId(), dedupKey = null, route = null }) {
+  const job = {
+    jobId,
+    type,
+    dedupKey,
+    route,
+    status: 'queued',
+    payload,
+    signalData,
+    chart: { status: 'pending' },
+    channels: channels.reduce((acc, channel) => {
+      acc[channel] = { status: 'pending' };
+      return acc;
+    }, {}),
+    createdAt: new Date()
+  };
+
+  cacheJob(job);
+
+  if (isMongoConnected()) {
+    try {
+      await WebhookJob.create(job);
+    } catch (error) {
+      log('error', 'Failed to persist job', { jobId: job.jobId, error: error.message });
+    }
+  } else {
+    log('warn', 'MongoDB not connected, job kept in memory only', { jobId: job.jobId });
+  }
+
+  return job;
+}
+
+/**
+ * Update fields of a job
+ * @param {string} jobId - Job ID
+ * @param {Object} updates - Map of dot-path keys to values
+ * @returns {Promise<Object|null>} Updated job from memory
+ */
+async function updateJob(jobId, updates) {
+  const job = jobs.get(jobId);
+  if (job) {
+    Object.keys(updates).forEach(key => setPath(job, key, updates[key]));
+  }
+
+  if (isMongoConnected()) {
+    try {
+      await WebhookJob.updateOne({ jobId }, { $set: updates });
+    } catch (error) {
+      log('error', 'Failed to update job', { jobId, error: error.message });
+    }
+  }
+
+  return job || null;
+}
+
+/**
+ * Update the progress of a single delivery channel
+ * @param {string} jobId - Job ID
+ * @param {string} channel - Channel name ('whatsapp' or 'telegram')
+ * @param {Object} data - Channel state, replaces the previous state
+ */
+async function updateChannel(jobId, channel, data) {
+  return updateJob(jobId, { [`channels.${channel}`]: { ...data, updatedAt: new Date() } });
+}
+
+/**
+ * Look up a job by ID, falling back to MongoDB for older jobs
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job or null if unknown
+ */
+async function getJob(jobId) {
+  if (jobs.has(jobId)) {
+    return jobs.get(jobId);
+  }
+
+  if (!isMongoConnected()) {
+    return null;
+  }
+
+  try {
+    return await WebhookJob.findOne({ jobId }, { _id: 0, __v: 0 }).lean();
+  } catch (error) {
+    log('error', 'Failed to load job', { jobId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Shape a job for API responses
+ * @param {Object} job - Job object
+ * @returns {Object} Public job representation
+ */
+function toPublicJob(job) {
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    status: job.status,
+    symbol: job.signalData?.symbol,
+    action: job.signalData?.action,
+    route: job.route,
+    chart: job.chart,
+    channels: job.channels,
+    deliveredVia: job.deliveredVia || [],
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+}
+
+module.exports = {
+  generateJobId,
+  createJob,
+  updateJob,
+  updateChannel,
+  getJob,
+  toPublicJob
+};
@@ -0,0 +1,249 @@
+// Split long messages and captions to fit each channel's limits.
+// Chunks break on line boundaries where possible, long lines on whitespace. HTML tags and Markdown
+// markers that are open at a break are closed at the end of the chunk and reopened in the next one,
+// breaks never land inside a tag, an HTML entity or a Markdown link, and chunks without any text
+// left once the markup is removed are dropped.
+
+// Characters per message and per media caption
+const LIMITS = {
+  telegram: { text: 4096, caption: 1024 },
+  whatsapp: { text: 4096, caption: 1024 }
+};
+// Escaped characters first so "\*" is never read as a marker, code blocks before inline code
+const MARKDOWN_TOKEN = /\\.|```|[*_`~]/g;
+// Emphasis markers only count at a word boundary, "ALERT_ID" or "2*3" hold no marker
+const EMPHASIS_MARKERS = ['*', '_', '~'];
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+const HTML_TAG = /<\/?([a-zA-Z][\w-]*)[^>]*>/g;
+
+const isHtml = (parseMode) => String(parseMode || '').toUpperCase() === 'HTML';
+
+// Tags left open after a fragment, given the tags open before it
+function updateOpenTags(openTags, fragment) {
+  const tags = [...openTags];
+  for (const match of fragment.matchAll(HTML_TAG)) {
+    const name = match[1].toLowerCase();
+    if (match[0].startsWith('</')) {
+      const index = tags.map(tag => tag.name).lastIndexOf(name);
+      if (index !== -1) {
+        tags.splice(index, 1);
+      }
+    } else {
+      tags.push({ name, raw: match[0] });
+    }
+  }
+  return tags;
+}
+
+const closeTags = (openTags) => openTags.slice().reverse().map(tag => `</${tag.name}>`).join('');
+
+// Whether an emphasis marker at `index` can open (non-word before, non-space after) or close
+// (non-space before, non-word after) an entity
+function isEmphasisBoundary(fragment, index, closing) {
+  const before = fragment[index - 1] || ' ';
+  const after = fragment[index + 1] || ' ';
+  return closing
+    ? !/\s/.test(before) && !WORD_CHAR.test(after)
+    : !WORD_CHAR.test(before) && !/\s/.test(after);
+}
+
+// Markers left open after a fragment, given the markers open before it: each marker toggles
+function updateOpenMarkers(openMarkers, fragment) {
+  const markers = [...openMarkers];
+  for (const match of fragment.matchAll(MARKDOWN_TOKEN)) {
+    if (match[0].startsWith('\\')) {
+      continue;
+    }
+    const index = markers.map(marker => marker.name).lastIndexOf(match[0]);
+    if (EMPHASIS_MARKERS.includes(match[0]) && !isEmphasisBoundary(fragment, match.index, index !== -1)) {
+      continue;
+    }
+    if (index !== -1) {
+      markers.splice(index, 1);
+    } else {
+      // A reopened code block starts on its own line, text right after ``` would read as its language
+      markers.push({ name: match[0], raw: match[0] === '```' ? '```\n' : match[0] });
+    }
+  }
+  return markers;
+}
+
+const closeMarkers = (openMarkers) => openMarkers.slice().reverse().map(marker => marker.name).join('');
+
+// Whether anything is left to read once tags or markers are removed
+const hasText = (chunk, html) => (html ? chunk.replace(HTML_TAG, '') : chunk.replace(MARKDOWN_TOKEN, token => (token.startsWith('\\') ? token : ''))).trim() !== '';
+
+// True when cutting `text` at `index` doesn't land inside a tag or an entity like &amp;
+function isSafeHtmlCut(text, index) {
+  const prefix = text.slice(0, index);
+  if (prefix.lastIndexOf('<') > prefix.lastIndexOf('>')) {
+    return false;
+  }
+  const ampersand = prefix.lastIndexOf('&');
+  return ampersand === -1 || !/^&#?\w*$/.test(prefix.slice(ampersand));
+}
+
+// True when cutting `text` at `index` doesn't split an escape or land inside a [text](url) link,
+// open markers are closed and reopened around the cut
+function isSafeMarkdownCut(text, index) {
+  const prefix = text.slice(0, index);
+  if (/(^|[^\\])(\\\\)*\\$/.test(prefix)) {
+    return false;
+  }
+  const unescaped = prefix.replace(/\\./g, '');
+  return unescaped.lastIndexOf('[') <= unescaped.lastIndexOf(')');
+}
+
+/**
+ * Split text into chunks no longer than the limit
+ * @param {string} text - Message text
+ * @param {number} limit - Maximum characters per chunk
+ * @param {Object} options - Split options
+ * @param {string} options.parseMode - 'HTML' or 'Markdown' (WhatsApp formatting counts as Markdown)
+ * @param {number} options.firstLimit - Smaller limit for the first chunk, e.g. a media caption
+ * @returns {Array<string>} Chunks in order, a single chunk when the text already fits
+ */
+function splitMessage(text, limit, { parseMode = null, firstLimit = limit } = {}) {
+  const value = String(text ?? '');
+  if (value.length <= firstLimit) {
+    return [value];
+  }
+
+  const html = isHtml(parseMode);
+  const isSafeCut = html ? isSafeHtmlCut : isSafeMarkdownCut;
+  const updateOpen = html ? updateOpenTags : updateOpenMarkers;
+  const close = html ? closeTags : closeMarkers;
+  const chunks = [];
+  // Open HTML tags or Markdown markers, { name, raw }
+  let openTags = [];
+  let current = '';
+  let hasContent = false;
+
+  const currentLimit = () => (chunks.length === 0 ? firstLimit : limit);
+
+  // Length of the chunk once the fragment is appended and its open tags are closed
+  const lengthWith = (piece) => {
+    const tags = updateOpen(openTags, piece);
+    return { length: current.length + piece.length + close(tags).length, tags };
+  };
+
+  const append = (fragment, separator) => {
+    const piece = hasContent ? separator + fragment : fragment;
+    const { length, tags } = lengthWith(piece);
+    if (length > currentLimit()) {
+      return false;
+    }
+    current += piece;
+    openTags = tags;
+    hasContent = true;
+    return true;
+  };
+
+  // A chunk that is only markup (the closing "*" of a cut entity) has nothing to show
+  const push = (chunk) => {
+    if (hasText(chunk, html)) {
+      chunks.push(chunk);
+    }
+  };
+
+  const flush = () => {
+    push(current + close(openTags));
+    current = openTags.map(tag => tag.raw).join('');
+    hasContent = false;
+  };
+
+  // Longest head of a line that fits the current chunk: last safe whitespace, else a hard cut
+  const findCut = (line) => {
+    const fitsAt = (index) => lengthWith((hasContent ? '\n' : '') + line.slice(0, index).trimEnd()).length <= currentLimit();
+    const maxIndex = Math.min(line.length, currentLimit());
+
+    for (let index = maxIndex; index > 0; index--) {
+      if (/\s/.test(line[index]) && isSafeCut(line, index) && fitsAt(index)) {
+        return index;
+      }
+    }
+    // Nothing safe fits (one long entity or word): cut anywhere outside a tag, entity or escape
+    for (let index = maxIndex; index > 0; index--) {
+      if ((html ? isSafeHtmlCut(line, index) : !/\\$/.test(line.slice(0, index))) && fitsAt(index)) {
+        return index;
+      }
+    }
+    return 0;
+  };
+
+  for (const line of value.split('\n')) {
+    // Chunks never start with blank lines
+    if (!hasContent && line.trim() === '') {
+      continue;
+    }
+    if (append(line, '\n')) {
+      continue;
+    }
+    if (hasContent) {
+      flush();
+      if (append(line, '\n')) {
+        continue;
+      }
+    }
+
+    // The line is longer than a whole chunk
+    let rest = line;
+    while (rest) {
+      let cut = findCut(rest);
+      if (cut === 0) {
+        // The reopened tags leave no room, give up on keeping them
+        openTags = [];
+        current = '';
+        cut = findCut(rest) || currentLimit();
+      }
+      const head = rest.slice(0, cut).trimEnd();
+      if (!append(head, '\n')) {
+        current += head;
+        hasContent = true;
+      }
+      rest = rest.slice(cut).trimStart();
+      if (rest) {
+        flush();
+      }
+    }
+  }
+
+  if (hasContent) {
+    push(current + close(openTags));
+  }
+
+  return chunks;
+}
+
+/**
+ * Split a message for a channel's text limit
+ * @param {string} channel - 'telegram' or 'whatsapp'
+ * @param {string} text - Message text
+ * @param {string} parseMode - Parse mode of the text
+ * @returns {Array<string>} Messages to send in order
+ */
+function splitText(channel, text, parseMode = null) {
+  return splitMessage(text, LIMITS[channel].text, { parseMode });
+}
+
+/**
+ * Split a media caption: the first chunk fits the caption limit, the rest go out as text messages
+ * @param {string} channel - 'telegram' or 'whatsapp'
+ * @param {string} text - Caption text
+ * @param {string} parseMode - Parse mode of the text
+ * @returns {Object} { caption, followUps: [text, ...] }
+ */
+function splitCaption(channel, text, parseMode = null) {
+  const [caption, ...followUps] = splitMessage(text, LIMITS[channel].text, {
+    parseMode,
+    firstLimit: LIMITS[channel].caption
+  });
+  return { caption, followUps };
+}
+
+module.exports = {
+  LIMITS,
+  splitMessage,
+  splitText,
+  splitCaption
+};
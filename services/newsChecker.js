@@ -3,6 +3,8 @@ const newsService = require('./news');
 const TelegramService = require('./telegram');
 const WhatsAppService = require('./whatsapp');
 const SentNews = require('../models/sentNews');
+const appConfig = require('./config');
+const rateLimiter = require('./rateLimiter');
 
 // Logging utility
 const log = (level, message, data = null) => {
@@ -193,10 +195,13 @@ async function checkAndSendNewNews() {
         // Send each new news item to Telegram and WhatsApp
         const telegramService = new TelegramService();
         const whatsappService = new WhatsAppService();
-        // Additional Telegram group ID from environment variable (optional)
-        const additionalGroupId = process.env.TELEGRAM_ADDITIONAL_CHAT_ID || '-1003148217444';
-        // WhatsApp phone number for news (different from default)
-        const whatsappNewsPhoneNumber = process.env.WHATSAPP_NEWS_PHONE_NUMBER;
+        // News targets come from the configuration (TELEGRAM_ADDITIONAL_CHAT_ID and
+        // WHATSAPP_NEWS_PHONE_NUMBER when no config file is used)
+        const config = appConfig.getConfig();
+        const newsTargets = {
+          telegram: config.channels.telegram.enabled ? config.news.telegram : [],
+          whatsapp: config.channels.whatsapp.enabled ? config.news.whatsapp : []
+        };
         
         for (const newsItem of newNews) {
           try {
@@ -205,56 +210,62 @@ async function checkAndSendNewNews() {
             const formattedWhatsAppMessage = formatNewsForWhatsApp(newsItem);
             
             // Send to Telegram
-            if (additionalGroupId) {
+            if (newsTargets.telegram.length === 0) {
+              log('warn', 'No Telegram news chats configured, skipping news send', {
+                newsId
+              });
+            }
+            
+            for (const chatId of newsTargets.telegram) {
               try {
-                await telegramService.sendMessage(formattedTelegramMessage, 'Markdown', additionalGroupId);
+                await rateLimiter.acquire('telegram', chatId);
+                await telegramService.sendMessage(formattedTelegramMessage, 'Markdown', chatId);
                 log('info', `News sent to Telegram group`, {
                   newsId,
-                  chatId: additionalGroupId
+                  chatId
                 });
               } catch (error) {
                 const errorCode = error.response?.data?.error_code;
                 const errorDescription = error.response?.data?.description || error.message;
                 
                 if (errorCode === 400 && errorDescription?.includes('chat not found')) {
-                  log('warn', `Bot is not in the Telegram group. Please add the bot to the group with chat ID: ${additionalGroupId}`, {
+                  log('warn', `Bot is not in the Telegram group. Please add the bot to the group with chat ID: ${chatId}`, {
                     newsId,
-                    chatId: additionalGroupId,
-                    solution: 'Add the bot to the group/channel or set TELEGRAM_ADDITIONAL_CHAT_ID in environment variables'
+                    chatId,
+                    solution: 'Add the bot to the group/channel or fix news.telegram in the configuration'
                   });
                 } else {
                   log('error', `Failed to send news to Telegram group`, {
                     newsId,
-                    chatId: additionalGroupId,
+                    chatId,
                     error: errorDescription
                   });
                 }
               }
-            } else {
-              log('warn', 'TELEGRAM_ADDITIONAL_CHAT_ID not configured, skipping news send', {
+            }
+            
+            // Send to WhatsApp (different number)
+            if (newsTargets.whatsapp.length === 0) {
+              log('warn', 'No WhatsApp news recipients configured, skipping WhatsApp send', {
                 newsId
               });
             }
             
-            // Send to WhatsApp (different number)
-            if (whatsappNewsPhoneNumber) {
+            for (const phoneNumber of newsTargets.whatsapp) {
               try {
-                await whatsappService.sendMessageToPerson(whatsappNewsPhoneNumber, formattedWhatsAppMessage);
+                await rateLimiter.acquire('whatsapp', phoneNumber);
+                await whatsappService.sendMessageToPerson(phoneNumber, formattedWhatsAppMessage);
                 log('info', `News sent to WhatsApp`, {
                   newsId,
-                  phoneNumber: whatsappNewsPhoneNumber
+                  phoneNumber
                 });
               } catch (error) {
                 log('error', `Failed to send news to WhatsApp`, {
                   newsId,
-                  phoneNumber: whatsappNewsPhoneNumber,
+                  phoneNumber,
                   error: error.message
                 });
               }
-            } else {
-              log('warn', 'WHATSAPP_NEWS_PHONE_NUMBER not configured, skipping WhatsApp send', {
-                newsId
-              });
             }
             
             // Mark as sent in MongoDB (only if at least one send succeeded)
@@ -265,10 +276,6 @@ async function checkAndSendNewNews() {
               newsId,
               header: newsItem.header?.substring(0, 50)
             });
-            
-            // Small delay between messages to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
           } catch (error) {
             log('error', `Failed to process news`, {
               newsId: newsItem._id || newsItem.id,
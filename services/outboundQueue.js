@@ -0,0 +1,525 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const OutboundMessage = require('../models/outboundMessage');
+const rateLimiter = require('./rateLimiter');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] OUTBOUND ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+const parseNumberEnv = (value, defaultValue) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+};
+
+// Attempts per message, including the first one
+const MAX_ATTEMPTS = Math.max(1, parseNumberEnv(process.env.OUTBOUND_MAX_ATTEMPTS, 5));
+// Backoff doubles from the base delay up to the maximum, with jitter
+const RETRY_BASE_SECONDS = parseNumberEnv(process.env.OUTBOUND_RETRY_BASE_SECONDS, 5);
+const RETRY_MAX_SECONDS = parseNumberEnv(process.env.OUTBOUND_RETRY_MAX_SECONDS, 300);
+// Messages sent in parallel across destinations; one destination always gets one at a time
+const CONCURRENCY = Math.max(1, parseNumberEnv(process.env.OUTBOUND_CONCURRENCY, 5));
+
+// Pending messages always stay in memory, settled ones only until this many are cached
+const MAX_CACHED_MESSAGES = 1000;
+
+const TERMINAL_STATUSES = ['sent', 'failed'];
+
+// Messages by ID in creation order; memory is the runtime source of truth, MongoDB the durable copy
+const messages = new Map();
+const senders = {};
+const listeners = [];
+
+let timer = null;
+let stopped = false;
+// Attempts in progress, and the destinations they occupy
+const inFlight = new Set();
+const busyDestinations = new Set();
+
+const destinationKey = (message) => `${message.channel}|${message.destination}`;
+
+function isMongoConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with "equal jitter",
+ * half of the backoff is fixed and the other half random
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  const backoff = Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** (attempts - 1)) * 1000;
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+// Network errors, rate limits and server errors are worth retrying; other 4xx responses are not
+function isRetryable(error) {
+  if (error.retryable !== undefined) {
+    return error.retryable;
+  }
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function describeError(error) {
+  const data = error.response?.data;
+  return data?.description || data?.error?.message || data?.message || error.message;
+}
+
+async function persist(message) {
+  if (!isMongoConnected()) {
+    return;
+  }
+
+  try {
+    await OutboundMessage.updateOne({ messageId: message.messageId }, { $set: message }, { upsert: true });
+  } catch (error) {
+    log('error', 'Failed to persist outbound message', { messageId: message.messageId, error: error.message });
+  }
+}
+
+function evictSettled() {
+  for (const [messageId, message] of messages) {
+    if (messages.size <= MAX_CACHED_MESSAGES) {
+      break;
+    }
+    if (TERMINAL_STATUSES.includes(message.status)) {
+      messages.delete(messageId);
+    }
+  }
+}
+
+function notify(message) {
+  listeners.forEach(listener => {
+    Promise.resolve()
+      .then(() => listener(toPublicMessage(message)))
+      .catch(error => log('error', 'Outbound message listener failed', { messageId: message.messageId, error: error.message }));
+  });
+}
+
+// The oldest unsettled message of every destination that isn't being sent to right now.
+// A message waiting for a retry holds back later messages to the same destination,
+// so every destination receives its messages in order.
+function getSendableHeads() {
+  const blocked = new Set(busyDestinations);
+  const heads = [];
+
+  for (const message of messages.values()) {
+    if (TERMINAL_STATUSES.includes(message.status)) {
+      continue;
+    }
+    const key = destinationKey(message);
+    if (!blocked.has(key)) {
+      blocked.add(key);
+      if (message.status === 'pending') {
+        heads.push(message);
+      }
+    }
+  }
+  return heads;
+}
+
+// Oldest due message that may be sent now, or null
+function nextDueMessage() {
+  const now = Date.now();
+  return getSendableHeads().find(message => message.nextAttemptAt.getTime() <= now) || null;
+}
+
+// Wake the worker when the next sendable message becomes due
+function schedule() {
+  if (stopped) {
+    return;
+  }
+
+  clearTimeout(timer);
+  if (inFlight.size >= CONCURRENCY) {
+    // A finishing attempt pumps again
+    return;
+  }
+
+  let earliest = null;
+  getSendableHeads().forEach(message => {
+    if (!earliest || message.nextAttemptAt < earliest) {
+      earliest = message.nextAttemptAt;
+    }
+  });
+
+  if (earliest) {
+    timer = setTimeout(pump, Math.max(0, earliest.getTime() - Date.now()));
+  }
+}
+
+// Start due messages until the concurrency limit is reached
+function pump() {
+  if (stopped) {
+    return;
+  }
+
+  let message;
+  while (inFlight.size < CONCURRENCY && (message = nextDueMessage())) {
+    const key = destinationKey(message);
+    busyDestinations.add(key);
+    // Claimed before the first await so the next loop iteration skips it
+    message.status = 'sending';
+
+    const task = attempt(message).finally(() => {
+      inFlight.delete(task);
+      busyDestinations.delete(key);
+      pump();
+    });
+    inFlight.add(task);
+  }
+
+  schedule();
+}
+
+async function attempt(message) {
+  const sender = senders[message.channel];
+
+  // Provider-wide and per-destination token buckets
+  await rateLimiter.acquire(message.channel, message.destination);
+
+  const startedAt = new Date();
+  message.attempts++;
+  message.updatedAt = startedAt;
+  await persist(message);
+
+  try {
+    if (!sender) {
+      throw Object.assign(new Error(`No sender registered for channel ${message.channel}`), { retryable: false });
+    }
+
+    const result = await sender(toPublicMessage(message));
+    const providerMessageId = result?.messageId !== undefined && result?.messageId !== null ? String(result.messageId) : undefined;
+
+    message.history.push({
+      attempt: message.attempts,
+      at: startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+      success: true,
+      providerMessageId
+    });
+    message.status = 'sent';
+    message.result = { messageId: providerMessageId };
+    message.lastError = null;
+    message.lastResponse = null;
+    message.settledAt = new Date();
+
+    log('info', 'Outbound message sent', {
+      messageId: message.messageId,
+      channel: message.channel,
+      destination: message.destination,
+      attempt: message.attempts
+    });
+  } catch (error) {
+    const errorMessage = describeError(error);
+
+    // An open circuit rejected the message without calling the provider: that was no real
+    // attempt, wait for the breaker's next probe without spending one
+    if (error.circuitOpen) {
+      message.attempts--;
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + (error.retryAfter || 0) * 1000);
+      message.lastError = errorMessage;
+      log('info', 'Provider circuit open, outbound message deferred', {
+        messageId: message.messageId,
+        channel: message.channel,
+        destination: message.destination,
+        retryInSeconds: error.retryAfter
+      });
+      message.updatedAt = new Date();
+      await persist(message);
+      notify(message);
+      return;
+    }
+
+    const retry = isRetryable(error) && message.attempts < message.maxAttempts;
+
+    message.history.push({
+      attempt: message.attempts,
+      at: startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+      success: false,
+      error: errorMessage,
+      statusCode: error.response?.status
+    });
+    message.lastError = errorMessage;
+    message.lastResponse = error.response?.data ?? null;
+
+    if (retry) {
+      // Never retry before the provider's own retry-after (Telegram flood-wait)
+      const delay = Math.max(getRetryDelay(message.attempts), (error.retryAfter || 0) * 1000);
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + delay);
+      log('warn', 'Outbound message failed, retrying', {
+        messageId: message.messageId,
+        channel: message.channel,
+        destination: message.destination,
+        attempt: message.attempts,
+        maxAttempts: message.maxAttempts,
+        retryInSeconds: Math.round(delay / 1000),
+        error: errorMessage
+      });
+    } else {
+      message.status = 'failed';
+      message.settledAt = new Date();
+      log('error', 'Outbound message failed permanently', {
+        messageId: message.messageId,
+        channel: message.channel,
+        destination: message.destination,
+        attempts: message.attempts,
+        error: errorMessage
+      });
+    }
+  }
+
+  message.updatedAt = new Date();
+  await persist(message);
+  notify(message);
+  evictSettled();
+}
+
+/**
+ * Register the function that delivers messages of a channel
+ * The sender receives the public message ({ messageId, channel, destination, payload, attempts, ... })
+ * and resolves with an optional { messageId } from the provider, or throws to trigger a retry
+ * @param {string} channel - Channel name ('whatsapp' or 'telegram')
+ * @param {Function} sender - async (message) => result
+ */
+function registerSender(channel, sender) {
+  senders[channel] = sender;
+}
+
+/**
+ * Listen for message updates (sent, failed, or retry scheduled)
+ * @param {Function} listener - (message) => void, may be async
+ */
+function onMessageUpdate(listener) {
+  listeners.push(listener);
+}
+
+function buildMessage({ channel, destination, payload, jobId = null, maxAttempts = MAX_ATTEMPTS }) {
+  const now = new Date();
+  return {
+    messageId: crypto.randomUUID(),
+    jobId,
+    channel,
+    destination: String(destination),
+    payload,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts,
+    nextAttemptAt: now,
+    history: [],
+    lastError: null,
+    lastResponse: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    settledAt: null
+  };
+}
+
+/**
+ * Queue messages, one per destination
+ * All messages are registered before any of them is sent, so listeners never see a partial set
+ * @param {Array<Object>} items - Message parameters
+ * @param {string} items[].channel - Channel name
+ * @param {string} items[].destination - Phone number, group ID or chat ID
+ * @param {Object} items[].payload - Data the channel sender needs (must be JSON-serializable)
+ * @param {string} items[].jobId - Optional webhook job the message belongs to
+ * @param {number} items[].maxAttempts - Optional attempt limit, defaults to OUTBOUND_MAX_ATTEMPTS
+ * @returns {Promise<Array<Object>>} Queued messages
+ */
+async function enqueue(items) {
+  const queued = items.map(buildMessage);
+  queued.forEach(message => messages.set(message.messageId, message));
+
+  for (const message of queued) {
+    await persist(message);
+  }
+
+  if (!isMongoConnected()) {
+    log('warn', 'MongoDB not connected, outbound messages kept in memory only', { count: queued.length });
+  }
+
+  pump();
+  return queued.map(toPublicMessage);
+}
+
+/**
+ * Reload unfinished messages from MongoDB after a restart
+ * Messages that were being sent when the server stopped are attempted again
+ * @returns {Promise<number>} Number of recovered messages
+ */
+async function recover() {
+  if (!isMongoConnected()) {
+    return 0;
+  }
+
+  try {
+    const unfinished = await OutboundMessage.find(
+      { status: { $in: ['pending', 'sending'] } },
+      { _id: 0, __v: 0 }
+    ).sort({ createdAt: 1 }).lean();
+
+    let recovered = 0;
+    unfinished.forEach(message => {
+      if (messages.has(message.messageId)) {
+        return;
+      }
+      messages.set(message.messageId, {
+        ...message,
+        status: 'pending',
+        nextAttemptAt: new Date(message.nextAttemptAt || Date.now())
+      });
+      recovered++;
+    });
+
+    if (recovered > 0) {
+      log('info', `Recovered ${recovered} unfinished outbound message(s)`);
+    }
+    pump();
+    return recovered;
+  } catch (error) {
+    log('error', 'Failed to recover outbound messages', { error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Messages that belong to a job, memory first and MongoDB for the rest
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Array<Object>>} Public messages in creation order
+ */
+async function getMessagesForJob(jobId) {
+  const found = new Map();
+
+  if (isMongoConnected()) {
+    try {
+      const stored = await OutboundMessage.find({ jobId }, { _id: 0, __v: 0 }).sort({ createdAt: 1 }).lean();
+      stored.forEach(message => found.set(message.messageId, message));
+    } catch (error) {
+      log('error', 'Failed to load outbound messages', { jobId, error: error.message });
+    }
+  }
+
+  for (const message of messages.values()) {
+    if (message.jobId === jobId) {
+      found.set(message.messageId, message);
+    }
+  }
+
+  return [...found.values()]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(toPublicMessage);
+}
+
+/**
+ * Find the message a provider message ID was returned for, e.g. to match a delivery receipt
+ * @param {string} channel - Channel name
+ * @param {string} providerMessageId - Message ID returned by the provider
+ * @returns {Promise<Object|null>} Public message or null if unknown
+ */
+async function findByProviderMessageId(channel, providerMessageId) {
+  const id = String(providerMessageId);
+  for (const message of messages.values()) {
+    if (message.channel === channel && message.result?.messageId === id) {
+      return toPublicMessage(message);
+    }
+  }
+
+  if (!isMongoConnected()) {
+    return null;
+  }
+
+  try {
+    const stored = await OutboundMessage.findOne({ channel, 'result.messageId': id }, { _id: 0, __v: 0 }).lean();
+    return stored ? toPublicMessage(stored) : null;
+  } catch (error) {
+    log('error', 'Failed to look up outbound message', { channel, providerMessageId: id, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Stop sending and wait for the messages currently being sent
+ * Unsent messages stay in MongoDB and are picked up by recover() on the next start
+ * @param {number} timeoutMs - Maximum time to wait
+ */
+async function stop(timeoutMs = 30000) {
+  stopped = true;
+  clearTimeout(timer);
+
+  if (inFlight.size > 0) {
+    await Promise.race([
+      Promise.allSettled([...inFlight]),
+      new Promise(resolve => setTimeout(resolve, timeoutMs))
+    ]);
+  }
+}
+
+/**
+ * Shape a message for API responses and listeners
+ * @param {Object} message - Message object
+ * @returns {Object} Public message representation
+ */
+function toPublicMessage(message) {
+  return {
+    messageId: message.messageId,
+    jobId: message.jobId,
+    channel: message.channel,
+    destination: message.destination,
+    payload: message.payload,
+    status: message.status,
+    attempts: message.attempts,
+    maxAttempts: message.maxAttempts,
+    nextAttemptAt: message.status === 'pending' ? message.nextAttemptAt : null,
+    history: message.history,
+    lastError: message.lastError,
+    lastResponse: message.lastResponse,
+    result: message.result,
+    createdAt: message.createdAt,
+    settledAt: message.settledAt
+  };
+}
+
+/**
+ * Get queue configuration and counts of cached messages by status
+ * @returns {Object} Queue stats
+ */
+function getQueueStats() {
+  const byStatus = { pending: 0, sending: 0, sent: 0, failed: 0 };
+  for (const message of messages.values()) {
+    byStatus[message.status]++;
+  }
+
+  return {
+    concurrency: CONCURRENCY,
+    inFlight: inFlight.size,
+    maxAttempts: MAX_ATTEMPTS,
+    retryBaseSeconds: RETRY_BASE_SECONDS,
+    retryMaxSeconds: RETRY_MAX_SECONDS,
+    persistent: isMongoConnected(),
+    cached: messages.size,
+    byStatus
+  };
+}
+
+module.exports = {
+  registerSender,
+  onMessageUpdate,
+  enqueue,
+  recover,
+  getMessagesForJob,
+  findByProviderMessageId,
+  stop,
+  toPublicMessage,
+  getQueueStats
+};
@@ -0,0 +1,366 @@
+const signalActions = require('./signalActions');
+const signalHistory = require('./signalHistory');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] PERFORMANCE ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// Signal performance: every entry is followed through its threaded TP/SL/close alerts.
+// A trade's result is measured at its latest exit alert with a price, so a TP1 followed by a
+// stop at breakeven ends at breakeven. The R-multiple divides the result by the initial risk,
+// the distance between the entry price and the stop loss sent with the entry.
+
+// Entry payload keys holding the stop loss, compared lowercased with separators removed
+const STOP_LOSS_KEYS = ['sl', 'stop', 'stoploss'];
+
+const EXIT_ACTIONS = ['TP1', 'TP2', 'TP3', 'SL', 'CLOSE'];
+const GROUP_BY = ['symbol', 'strategy', 'day', 'week', 'month'];
+// Trade list filters (trade status or outcome) with the entry position status they narrow the query to
+const TRADE_FILTERS = {
+  open: 'open',
+  running: 'open',
+  closed: 'closed',
+  cancelled: 'closed',
+  invalid: null,
+  win: null,
+  loss: null,
+  breakeven: null
+};
+
+const parsePrice = (value) => {
+  const price = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return isFinite(price) ? price : null;
+};
+
+const round = (value, decimals = 2) => (value === null || value === undefined ? null : Number(value.toFixed(decimals)));
+
+function findStopLoss(signalData) {
+  const key = Object.keys(signalData || {})
+    .find(k => STOP_LOSS_KEYS.includes(k.toLowerCase().replace(/[^a-z0-9]/g, '')));
+  return key !== undefined ? parsePrice(signalData[key]) : null;
+}
+
+/**
+ * Follow an entry through its follow-ups and work out the result
+ * @param {Object} entry - Entry signal from the signal history
+ * @param {Array<Object>} followUps - Follow-ups threaded under the entry, oldest first
+ * @returns {Object} Trade with status 'open', 'running' (exits but position open), 'closed',
+ *   'cancelled' or 'invalid' (no entry price), and pnl, pnlPercent, rMultiple, outcome once it has a priced exit
+ */
+function buildTrade(entry, followUps) {
+  const direction = signalActions.getActionDefinition(entry.action)?.direction;
+  const sign = direction === 'short' ? -1 : 1;
+  const entryPrice = parsePrice(entry.signalData?.price);
+  const stopLoss = findStopLoss(entry.signalData);
+  const risk = entryPrice !== null && stopLoss !== null ? Math.abs(entryPrice - stopLoss) : null;
+
+  const exits = followUps
+    .filter(signal => EXIT_ACTIONS.includes(signal.action))
+    .map(signal => ({
+      signalId: signal.signalId,
+      action: signal.action,
+      price: parsePrice(signal.signalData?.price),
+      at: signal.receivedAt
+    }));
+  const cancelled = followUps.some(signal => signal.action === 'CANCEL');
+  const lastPricedExit = exits.filter(exit => exit.price !== null).pop() || null;
+
+  const trade = {
+    signalId: entry.signalId,
+    symbol: entry.symbol,
+    strategy: entry.strategy || null,
+    direction,
+    entryPrice,
+    stopLoss,
+    openedAt: entry.receivedAt,
+    exits,
+    exitPrice: null,
+    exitAction: null,
+    closedAt: entry.closedAt || null,
+    resolvedAt: null,
+    pnl: null,
+    pnlPercent: null,
+    rMultiple: null,
+    outcome: null
+  };
+
+  if (entryPrice === null) {
+    return { ...trade, status: 'invalid' };
+  }
+  if (cancelled && exits.length === 0) {
+    return { ...trade, status: 'cancelled' };
+  }
+  if (!lastPricedExit) {
+    return { ...trade, status: entry.positionStatus === 'closed' ? 'closed' : 'open' };
+  }
+
+  const pnl = (lastPricedExit.price - entryPrice) * sign;
+  return {
+    ...trade,
+    status: entry.positionStatus === 'closed' ? 'closed' : 'running',
+    exitPrice: lastPricedExit.price,
+    exitAction: lastPricedExit.action,
+    resolvedAt: lastPricedExit.at,
+    pnl: round(pnl, 8),
+    pnlPercent: entryPrice !== 0 ? round((pnl / entryPrice) * 100) : null,
+    rMultiple: risk ? round(pnl / risk) : null,
+    outcome: pnl > 0 ? 'win' : pnl < 0 ? 'loss' : 'breakeven'
+  };
+}
+
+// Largest peak-to-trough drop of a running total
+function maxDrawdown(values) {
+  let total = 0;
+  let peak = 0;
+  let drawdown = 0;
+  values.forEach(value => {
+    total += value;
+    peak = Math.max(peak, total);
+    drawdown = Math.max(drawdown, peak - total);
+  });
+  return drawdown;
+}
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+const average = (values) => (values.length > 0 ? sum(values) / values.length : null);
+
+/**
+ * Aggregate trades into win rate, average R, expectancy and drawdown
+ * Only trades with a priced exit count; drawdown follows them in the order they were resolved
+ * @param {Array<Object>} trades - Trades from buildTrade
+ * @returns {Object} Summary
+ */
+function summarize(trades) {
+  const resolved = trades
+    .filter(trade => trade.outcome)
+    .sort((a, b) => new Date(a.resolvedAt) - new Date(b.resolvedAt));
+  const wins = resolved.filter(trade => trade.outcome === 'win');
+  const losses = resolved.filter(trade => trade.outcome === 'loss');
+
+  const percents = resolved.map(trade => trade.pnlPercent).filter(value => value !== null);
+  const rMultiples = resolved.map(trade => trade.rMultiple).filter(value => value !== null);
+  const winRate = resolved.length > 0 ? wins.length / resolved.length : null;
+  const averageOf = (list, pick) => round(average(list.map(pick).filter(value => value !== null)));
+
+  // Expectancy = win rate x average win - loss rate x average loss, over the trades that have the value
+  const expectancy = (pick) => {
+    const values = resolved.map(pick).filter(value => value !== null);
+    if (values.length === 0) {
+      return null;
+    }
+    const winning = values.filter(value => value > 0);
+    const losing = values.filter(value => value < 0);
+    return (winning.length / values.length) * (average(winning) || 0) -
+      (losing.length / values.length) * Math.abs(average(losing) || 0);
+  };
+
+  return {
+    signals: trades.length,
+    open: trades.filter(trade => trade.status === 'open').length,
+    cancelled: trades.filter(trade => trade.status === 'cancelled').length,
+    trades: resolved.length,
+    wins: wins.length,
+    losses: losses.length,
+    breakeven: resolved.length - wins.length - losses.length,
+    winRate: winRate !== null ? round(winRate * 100, 1) : null,
+    avgPercent: round(average(percents)),
+    avgWinPercent: averageOf(wins, trade => trade.pnlPercent),
+    avgLossPercent: averageOf(losses, trade => trade.pnlPercent),
+    totalPercent: round(sum(percents)),
+    avgR: round(average(rMultiples)),
+    avgWinR: averageOf(wins, trade => trade.rMultiple),
+    avgLossR: averageOf(losses, trade => trade.rMultiple),
+    totalR: round(sum(rMultiples)),
+    tradesWithR: rMultiples.length,
+    expectancyPercent: round(expectancy(trade => trade.pnlPercent)),
+    expectancyR: round(expectancy(trade => trade.rMultiple)),
+    maxDrawdownPercent: round(maxDrawdown(percents)),
+    maxDrawdownR: rMultiples.length > 0 ? round(maxDrawdown(rMultiples)) : null
+  };
+}
+
+// UTC period a trade belongs to, by entry time
+function periodKey(date, period) {
+  const value = new Date(date);
+  if (period === 'month') {
+    return value.toISOString().slice(0, 7);
+  }
+  if (period === 'week') {
+    // ISO week: the Thursday of the week decides the year
+    const thursday = new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+  return value.toISOString().slice(0, 10);
+}
+
+function groupKey(trade, groupBy) {
+  if (groupBy === 'symbol') return trade.symbol || 'unknown';
+  if (groupBy === 'strategy') return trade.strategy || 'none';
+  return periodKey(trade.openedAt, groupBy);
+}
+
+/**
+ * Trades of the entries received in a time range
+ * @param {Object} filters - symbol, strategy, from, to (Dates), and the positionStatus, closedFrom
+ *   and closedTo filters of signalHistory.findEntries
+ * @param {Object} page - limit and skip of signalHistory.findEntries, all entries up to PERFORMANCE_MAX_TRADES by default
+ * @returns {Promise<Object>} { total, trades }, trades oldest entry first, total counting every matching entry
+ */
+async function getTrades(filters = {}, page = {}) {
+  const { total, entries } = await signalHistory.findEntries(filters, page);
+  if (!page.limit && total > entries.length) {
+    log('warn', 'Entry limit reached, older entries left out', { total, evaluated: entries.length });
+  }
+
+  const followUps = await signalHistory.findFollowUps(entries.map(entry => entry.signalId));
+
+  const byParent = new Map();
+  followUps.forEach(signal => {
+    byParent.set(signal.parentSignalId, [...(byParent.get(signal.parentSignalId) || []), signal]);
+  });
+
+  return { total, trades: entries.map(entry => buildTrade(entry, byParent.get(entry.signalId) || [])) };
+}
+
+/**
+ * Page of trades, newest entry first
+ * Without a status the page is read straight from the history; a status narrows the query to the
+ * matching position status and the rest is filtered on the evaluated trades
+ * @param {Object} filters - symbol, strategy, from, to (Dates)
+ * @param {Object} options - status (a TRADE_FILTERS key), limit, skip
+ * @returns {Promise<Object>} { total, limit, skip, truncated, items }
+ */
+async function getTradePage(filters = {}, { status = null, limit = 50, skip = 0 } = {}) {
+  if (!status) {
+    const { total, trades } = await getTrades(filters, { limit, skip });
+    return { total, limit, skip, truncated: false, items: trades.reverse() };
+  }
+
+  const positionStatus = TRADE_FILTERS[status];
+  const { total, trades } = await getTrades(positionStatus ? { ...filters, positionStatus } : filters);
+  const matching = trades.filter(trade => trade.status === status || trade.outcome === status);
+  return {
+    total: matching.length,
+    limit,
+    skip,
+    truncated: total > trades.length,
+    items: matching.reverse().slice(skip, skip + limit)
+  };
+}
+
+/**
+ * Performance report for the entries received in a time range
+ * @param {Object} filters - symbol, strategy, from, to (Dates)
+ * @param {string} groupBy - Optional breakdown: 'symbol', 'strategy', 'day', 'week' or 'month'
+ * @returns {Promise<Object>} { from, to, symbol, strategy, truncated, summary, groupBy, groups: [{ key, ...summary }] }
+ */
+async function getReport(filters = {}, groupBy = null) {
+  const { total, trades } = await getTrades(filters);
+
+  const report = {
+    from: filters.from || null,
+    to: filters.to || null,
+    symbol: filters.symbol ? String(filters.symbol).trim().toUpperCase() : null,
+    strategy: filters.strategy || null,
+    // More entries matched than PERFORMANCE_MAX_TRADES, the oldest ones are left out
+    truncated: total > trades.length,
+    summary: summarize(trades)
+  };
+
+  if (groupBy) {
+    const groups = new Map();
+    trades.forEach(trade => {
+      const key = groupKey(trade, groupBy);
+      groups.set(key, [...(groups.get(key) || []), trade]);
+    });
+    report.groupBy = groupBy;
+    report.groups = [...groups.entries()]
+      .map(([key, groupTrades]) => ({ key, ...summarize(groupTrades) }))
+      .sort((a, b) => (groupBy === 'symbol' || groupBy === 'strategy' ? b.trades - a.trades : a.key.localeCompare(b.key)));
+  }
+
+  return report;
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const signed = (value, suffix) => (value === null ? '-' : `${value > 0 ? '+' : ''}${value}${suffix}`);
+
+/**
+ * Format a performance report as a chat message
+ * @param {string} channel - 'telegram' (HTML parse mode) or 'whatsapp'
+ * @param {Object} report - Report from getReport
+ * @param {Object} options - Message options
+ * @param {string} options.title - Heading, defaults to "Performance"
+ * @param {number} options.maxGroups - Breakdown lines shown at most
+ * @returns {string} Message text
+ */
+function formatStatsMessage(channel, report, { title = 'Performance', maxGroups = 10 } = {}) {
+  const html = channel === 'telegram';
+  const bold = (text) => (html ? `<b>${escapeHtml(text)}</b>` : `*${text}*`);
+  const plain = (text) => (html ? escapeHtml(text) : String(text));
+  const { summary } = report;
+
+  const lines = [`📊 ${bold(title)}`];
+
+  const range = [report.from, report.to].map(date => (date ? new Date(date).toISOString().slice(0, 10) : null));
+  if (range[0] || range[1]) {
+    lines.push(plain(`${range[0] || '...'} → ${range[1] || 'now'}`));
+  }
+  const scope = [report.symbol, report.strategy].filter(Boolean);
+  if (scope.length > 0) {
+    lines.push(plain(scope.join(' · ')));
+  }
+  lines.push('');
+
+  if (summary.trades === 0) {
+    lines.push(plain(`No closed trades yet (${summary.open} open).`));
+    return lines.join('\n');
+  }
+
+  lines.push(`${bold('Trades:')} ${summary.trades} (${summary.wins}W / ${summary.losses}L / ${summary.breakeven}BE)`);
+  lines.push(`${bold('Win rate:')} ${summary.winRate}%`);
+  // R-multiples when stop losses were sent with the entries, percent otherwise
+  const unit = summary.tradesWithR > 0 ? 'R' : '%';
+  const pick = (field) => summary[`${field}${unit === 'R' ? 'R' : 'Percent'}`];
+  lines.push(`${bold('Avg win:')} ${signed(pick('avgWin'), unit)} · ${bold('Avg loss:')} ${signed(pick('avgLoss'), unit)}`);
+  lines.push(`${bold('Expectancy:')} ${signed(pick('expectancy'), unit)} per trade`);
+  lines.push(`${bold('Total:')} ${[summary.tradesWithR > 0 ? signed(summary.totalR, 'R') : null, signed(summary.totalPercent, '%')].filter(Boolean).join(' · ')}`);
+  lines.push(`${bold('Max drawdown:')} ${[summary.maxDrawdownR !== null ? `${summary.maxDrawdownR}R` : null, `${summary.maxDrawdownPercent}%`].filter(Boolean).join(' · ')}`);
+  if (summary.open > 0) {
+    lines.push(`${bold('Open:')} ${summary.open}`);
+  }
+
+  const groups = (report.groups || []).filter(group => group.trades > 0).slice(0, maxGroups);
+  if (groups.length > 0) {
+    lines.push('');
+    groups.forEach(group => {
+      const result = group.tradesWithR > 0 ? signed(group.totalR, 'R') : signed(group.totalPercent, '%');
+      lines.push(`${bold(group.key)}: ${group.trades} ${group.trades === 1 ? 'trade' : 'trades'}, ${group.winRate}% win, ${result}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  GROUP_BY,
+  TRADE_FILTERS,
+  buildTrade,
+  summarize,
+  getTrades,
+  getTradePage,
+  getReport,
+  formatStatsMessage
+};
@@ -0,0 +1,207 @@
+// Token-bucket rate limiting for outbound channels.
+// Every channel has one bucket for the provider as a whole and one bucket per destination,
+// a send needs a token from both.
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] RATE_LIMIT ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+const parseNumberEnv = (value, defaultValue) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+};
+
+// Idle destination buckets are dropped after this long, they are full again by then anyway
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum burst size
+   * @param {number} refillPerSecond - Tokens added per second
+   */
+  constructor(capacity, refillPerSecond) {
+    this.capacity = Math.max(1, capacity);
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Time until a token is available
+   * @returns {number} Milliseconds to wait, 0 when a token can be taken now
+   */
+  getWaitTime() {
+    if (this.refillPerSecond <= 0) {
+      return 0;
+    }
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerSecond * 1000);
+  }
+
+  take() {
+    if (this.refillPerSecond > 0) {
+      this.tokens -= 1;
+    }
+  }
+}
+
+class ChannelRateLimiter {
+  /**
+   * @param {string} name - Channel name used in logs and stats
+   * @param {Object} limits - Bucket settings
+   * @param {number} limits.perSecond - Provider-wide sends per second (0 disables)
+   * @param {number} limits.burst - Provider-wide burst
+   * @param {number} limits.destinationPerMinute - Sends per minute to one destination (0 disables)
+   * @param {number} limits.destinationBurst - Burst for one destination
+   */
+  constructor(name, limits) {
+    this.name = name;
+    this.limits = limits;
+    this.providerBucket = new TokenBucket(limits.burst, limits.perSecond);
+    this.destinationBuckets = new Map();
+    this.stats = { acquired: 0, throttled: 0, waitedMs: 0 };
+  }
+
+  getDestinationBucket(destination) {
+    let bucket = this.destinationBuckets.get(destination);
+    if (!bucket) {
+      bucket = new TokenBucket(this.limits.destinationBurst, this.limits.destinationPerMinute / 60);
+      this.destinationBuckets.set(destination, bucket);
+    }
+    bucket.lastUsedAt = Date.now();
+    return bucket;
+  }
+
+  pruneIdle() {
+    const now = Date.now();
+    for (const [destination, bucket] of this.destinationBuckets) {
+      if (now - bucket.lastUsedAt > IDLE_BUCKET_MS) {
+        this.destinationBuckets.delete(destination);
+      }
+    }
+  }
+
+  /**
+   * Wait until both the provider and the destination allow another send, then take the tokens
+   * @param {string} destination - Destination ID
+   * @returns {Promise<number>} Milliseconds spent waiting
+   */
+  async acquire(destination) {
+    const startedAt = Date.now();
+    const destinationBucket = this.getDestinationBucket(destination);
+    let throttled = false;
+
+    for (;;) {
+      const wait = Math.max(this.providerBucket.getWaitTime(), destinationBucket.getWaitTime());
+      if (wait === 0) {
+        break;
+      }
+      throttled = true;
+      await sleep(wait);
+    }
+
+    this.providerBucket.take();
+    destinationBucket.take();
+
+    const waited = Date.now() - startedAt;
+    this.stats.acquired++;
+    if (throttled) {
+      this.stats.throttled++;
+      this.stats.waitedMs += waited;
+      log('info', `Throttled ${this.name} send`, { destination, waitedMs: waited });
+    }
+
+    this.pruneIdle();
+    return waited;
+  }
+
+  getStats() {
+    return {
+      limits: { ...this.limits },
+      trackedDestinations: this.destinationBuckets.size,
+      ...this.stats
+    };
+  }
+}
+
+// Defaults stay under the providers' documented group limits:
+// Telegram allows about 30 messages/s per bot and 20 messages/min per group
+const limiters = {
+  whatsapp: new ChannelRateLimiter('whatsapp', {
+    perSecond: parseNumberEnv(process.env.WHATSAPP_RATE_PER_SECOND, 5),
+    burst: parseNumberEnv(process.env.WHATSAPP_RATE_BURST, 5),
+    destinationPerMinute: parseNumberEnv(process.env.WHATSAPP_DESTINATION_RATE_PER_MINUTE, 20),
+    destinationBurst: parseNumberEnv(process.env.WHATSAPP_DESTINATION_BURST, 3)
+  }),
+  telegram: new ChannelRateLimiter('telegram', {
+    perSecond: parseNumberEnv(process.env.TELEGRAM_RATE_PER_SECOND, 25),
+    burst: parseNumberEnv(process.env.TELEGRAM_RATE_BURST, 25),
+    destinationPerMinute: parseNumberEnv(process.env.TELEGRAM_DESTINATION_RATE_PER_MINUTE, 20),
+    destinationBurst: parseNumberEnv(process.env.TELEGRAM_DESTINATION_BURST, 3)
+  })
+};
+
+/**
+ * Wait for a send slot on a channel
+ * @param {string} channel - Channel name ('whatsapp' or 'telegram')
+ * @param {string} destination - Destination ID
+ * @returns {Promise<number>} Milliseconds spent waiting
+ */
+function acquire(channel, destination) {
+  const limiter = limiters[channel];
+  return limiter ? limiter.acquire(String(destination)) : Promise.resolve(0);
+}
+
+/**
+ * Run an async function over items with at most `concurrency` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum parallel calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Get limits and throttle counters per channel
+ * @returns {Object} Stats keyed by channel
+ */
+function getRateLimiterStats() {
+  return Object.keys(limiters).reduce((acc, channel) => {
+    acc[channel] = limiters[channel].getStats();
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  TokenBucket,
+  ChannelRateLimiter,
+  acquire,
+  mapWithConcurrency,
+  getRateLimiterStats
+};
@@ -0,0 +1,154 @@
+// Signal action vocabulary shared by the webhook validation and the message formatters
+
+/**
+ * Supported actions
+ * - type: 'entry' opens a position, 'exit' closes all or part of it, 'update'/'cancel' change an open signal
+ * - requires: payload fields that must be present
+ * - requiresAny: at least one of these payload fields must be present
+ * - label/emoji: wording used by the formatters (entries keep the plain "BUY SYMBOL PRICE" line)
+ */
+const SIGNAL_ACTIONS = {
+  BUY: { type: 'entry', direction: 'long', requires: ['title', 'price'] },
+  SELL: { type: 'entry', direction: 'short', requires: ['title', 'price'] },
+  LONG: { type: 'entry', direction: 'long', requires: ['title', 'price'] },
+  SHORT: { type: 'entry', direction: 'short', requires: ['title', 'price'] },
+  TP1: { type: 'exit', requires: ['price'], label: 'TP1 HIT', emoji: '✅', title: 'Take Profit 1' },
+  TP2: { type: 'exit', requires: ['price'], label: 'TP2 HIT', emoji: '✅', title: 'Take Profit 2' },
+  TP3: { type: 'exit', requires: ['price'], label: 'TP3 HIT', emoji: '✅', title: 'Take Profit 3' },
+  SL: { type: 'exit', requires: ['price'], label: 'STOP LOSS HIT', emoji: '🛑', title: 'Stop Loss' },
+  CLOSE: { type: 'exit', requires: [], label: 'POSITION CLOSED', emoji: '🔒', title: 'Position Closed' },
+  UPDATE: {
+    type: 'update',
+    requires: [],
+    requiresAny: ['sl', 'tp', 'tp1', 'tp2', 'tp3', 'message'],
+    label: 'UPDATE',
+    emoji: '✏️',
+    title: 'Signal Update'
+  },
+  CANCEL: { type: 'cancel', requires: [], label: 'CANCELLED', emoji: '❌', title: 'Signal Cancelled' }
+};
+
+// Alternative spellings that map onto the vocabulary
+const ACTION_ALIASES = {
+  TP: 'TP1',
+  STOP: 'SL',
+  STOPLOSS: 'SL',
+  EXIT: 'CLOSE',
+  FLAT: 'CLOSE',
+  CANCELLED: 'CANCEL'
+};
+
+/**
+ * Normalize an action to its canonical name
+ * @param {string} action - Action from the payload (any case, aliases allowed)
+ * @returns {string|null} Canonical action or null if unknown
+ */
+function normalizeAction(action) {
+  if (action === undefined || action === null) {
+    return null;
+  }
+
+  const upper = String(action).trim().toUpperCase().replace(/[\s_-]/g, '');
+  const canonical = ACTION_ALIASES[upper] || upper;
+
+  return SIGNAL_ACTIONS[canonical] ? canonical : null;
+}
+
+/**
+ * Get the definition of an action
+ * @param {string} action - Canonical action
+ * @returns {Object|null} Action definition
+ */
+function getActionDefinition(action) {
+  return SIGNAL_ACTIONS[action] || null;
+}
+
+const isPresent = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+// Case-insensitive field lookup on a payload
+const findField = (payload, field) => {
+  const key = Object.keys(payload).find(k => k.toLowerCase() === field);
+  return key ? payload[key] : undefined;
+};
+
+/**
+ * Validate a payload against the rules of its action
+ * @param {Object} payload - Webhook payload (action, symbol and action-specific fields)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateSignalPayload(payload) {
+  if (!isPresent(payload.action) || !isPresent(payload.symbol)) {
+    return 'Missing required fields: action, symbol (or use msg + symbol for text format)';
+  }
+
+  const action = normalizeAction(payload.action);
+  if (!action) {
+    return `Action must be one of: ${Object.keys(SIGNAL_ACTIONS).join(', ')}`;
+  }
+
+  const definition = SIGNAL_ACTIONS[action];
+
+  const missing = definition.requires.filter(field => !isPresent(findField(payload, field)));
+  if (missing.length > 0) {
+    return `Missing required fields for ${action}: ${missing.join(', ')}`;
+  }
+
+  if (definition.requiresAny && !definition.requiresAny.some(field => isPresent(findField(payload, field)))) {
+    return `${action} requires at least one of: ${definition.requiresAny.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Default message title for an action when the payload doesn't provide one
+ * @param {string} action - Canonical action
+ * @returns {string|undefined} Default title
+ */
+function getDefaultTitle(action) {
+  return SIGNAL_ACTIONS[action]?.title;
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Build the "ACTION SYMBOL PRICE" headline of a signal message for a channel
+ * Entry actions and unknown/empty actions keep the plain format
+ * @param {string} channel - 'whatsapp', 'telegram' (HTML parse mode) or 'email' (plain text)
+ * @param {string} action - Action (canonical or raw)
+ * @param {string} symbol - Symbol
+ * @param {string} price - Already formatted price
+ * @returns {string} Headline line
+ */
+function formatHeadline(channel, action, symbol, price) {
+  const canonical = normalizeAction(action);
+  const definition = canonical ? SIGNAL_ACTIONS[canonical] : null;
+
+  if (!definition || !definition.label) {
+    return `${action} ${symbol} ${price}`;
+  }
+
+  const priceSuffix = isPresent(price) ? ` ${price}` : '';
+
+  if (channel === 'telegram') {
+    return `${definition.emoji} <b>${definition.label}</b> ${escapeHtml(symbol)}${escapeHtml(priceSuffix)}`;
+  }
+
+  if (channel === 'email') {
+    return `${definition.emoji} ${definition.label} ${symbol}${priceSuffix}`;
+  }
+
+  return `${definition.emoji} *${definition.label}* ${symbol}${priceSuffix}`;
+}
+
+module.exports = {
+  SIGNAL_ACTIONS,
+  normalizeAction,
+  getActionDefinition,
+  validateSignalPayload,
+  getDefaultTitle,
+  formatHeadline
+};
@@ -0,0 +1,413 @@
+const mongoose = require('mongoose');
+const Signal = require('../models/signal');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] SIGNALS ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// Without MongoDB the most recent signals are kept in memory
+const MAX_CACHED_SIGNALS = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Upper bound for the entries loaded at once for performance stats
+const MAX_ENTRIES = parseInt(process.env.PERFORMANCE_MAX_TRADES, 10) || 5000;
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'partial', 'failed'];
+
+// Payload keys naming the strategy, compared lowercased with separators removed
+const STRATEGY_KEYS = ['strategy', 'strategyname'];
+
+const signals = new Map();
+
+function isMongoConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+function cacheSignal(signal) {
+  signals.set(signal.signalId, signal);
+  if (signals.size > MAX_CACHED_SIGNALS) {
+    signals.delete(signals.keys().next().value);
+  }
+}
+
+const normalizeSymbol = (symbol) => String(symbol || '').trim().toUpperCase();
+
+/**
+ * Strategy name sent with an alert ("strategy", "strategy_name", "strategyName")
+ * @param {Object} payload - Webhook payload
+ * @returns {string|null} Strategy name or null when the alert doesn't carry one
+ */
+function extractStrategy(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  const key = Object.keys(payload).find(k => STRATEGY_KEYS.includes(k.toLowerCase().replace(/[^a-z0-9]/g, '')));
+  const value = key !== undefined ? payload[key] : null;
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// Query string values may be arrays or objects ("?strategy[$ne]=x"), only plain strings reach the query
+const toFilterValue = (value) => (value === undefined || value === null || value === '' ? undefined : String(value));
+
+// Build a MongoDB filter and an equivalent in-memory predicate from list filters
+function buildFilter(filters = {}) {
+  const symbol = toFilterValue(filters.symbol);
+  const action = toFilterValue(filters.action);
+  const strategy = toFilterValue(filters.strategy);
+  const status = toFilterValue(filters.status);
+  const parentSignalId = toFilterValue(filters.parentSignalId);
+  const { from, to } = filters;
+  const query = {};
+  if (symbol) query.symbol = normalizeSymbol(symbol);
+  if (action) query.action = action;
+  if (strategy) query.strategy = strategy;
+  if (status) query.deliveryStatus = status;
+  if (parentSignalId) query.parentSignalId = parentSignalId;
+  if (from || to) {
+    query.receivedAt = {};
+    if (from) query.receivedAt.$gte = from;
+    if (to) query.receivedAt.$lte = to;
+  }
+
+  const matches = (signal) =>
+    (!symbol || signal.symbol === normalizeSymbol(symbol)) &&
+    (!action || signal.action === action) &&
+    (!strategy || signal.strategy === strategy) &&
+    (!status || signal.deliveryStatus === status) &&
+    (!parentSignalId || signal.parentSignalId === parentSignalId) &&
+    (!from || signal.receivedAt >= from) &&
+    (!to || signal.receivedAt <= to);
+
+  return { query, matches };
+}
+
+/**
+ * Store a signal accepted from a webhook
+ * @param {Object} job - Job created for the signal (see jobStore.createJob)
+ * @param {Object} thread - Lifecycle links from signalThreads.resolveThread
+ * @param {string} thread.externalId - signal_id sent by the alert
+ * @param {string} thread.parentSignalId - Entry signal this follow-up belongs to
+ * @param {string} thread.positionStatus - 'open' for entries, null otherwise
+ * @returns {Promise<Object>} Stored signal
+ */
+async function record(job, { externalId = null, parentSignalId = null, positionStatus = null } = {}) {
+  const signal = {
+    signalId: job.jobId,
+    type: job.type,
+    symbol: normalizeSymbol(job.signalData?.symbol) || null,
+    action: job.signalData?.action || null,
+    strategy: extractStrategy(job.payload),
+    payload: job.payload,
+    signalData: job.signalData,
+    chart: { status: 'pending' },
+    route: job.route,
+    externalId,
+    parentSignalId,
+    positionStatus,
+    closedAt: null,
+    closedBySignalId: null,
+    messages: {},
+    deliveries: [],
+    deliveryStatus: 'pending',
+    error: null,
+    receivedAt: job.createdAt || new Date(),
+    completedAt: null
+  };
+
+  cacheSignal(signal);
+
+  if (isMongoConnected()) {
+    try {
+      await Signal.create(signal);
+    } catch (error) {
+      log('error', 'Failed to persist signal', { signalId: signal.signalId, error: error.message });
+    }
+  }
+
+  return signal;
+}
+
+/**
+ * Update fields of a stored signal
+ * @param {string} signalId - Signal ID
+ * @param {Object} updates - Top-level fields to replace
+ * @returns {Promise<Object|null>} Updated signal from memory
+ */
+async function update(signalId, updates) {
+  const signal = signals.get(signalId);
+  if (signal) {
+    Object.assign(signal, updates);
+  }
+
+  if (isMongoConnected()) {
+    try {
+      await Signal.updateOne({ signalId }, { $set: updates });
+    } catch (error) {
+      log('error', 'Failed to update signal', { signalId, error: error.message });
+    }
+  }
+
+  return signal || null;
+}
+
+/**
+ * Store per-recipient delivery results from a job's channel reports
+ * @param {string} signalId - Signal ID
+ * @param {Object} channels - Channel reports keyed by channel, each with a destinations list
+ * @param {Date|null} completedAt - When every message was sent or failed for good, null while pending
+ * @returns {Promise<Object|null>} Updated signal
+ */
+async function recordDelivery(signalId, channels, completedAt = null) {
+  const deliveries = [];
+  Object.keys(channels).forEach(channel => {
+    (channels[channel].destinations || []).forEach(entry => deliveries.push({
+      channel,
+      destination: entry.destination,
+      status: entry.status,
+      delivered: Boolean(entry.deliveredVia),
+      deliveredVia: entry.deliveredVia,
+      attempts: entry.attempts,
+      messageId: entry.messageId || null,
+      error: entry.error || null,
+      fallbacks: entry.fallbacks || []
+    }));
+  });
+
+  const delivered = deliveries.filter(entry => entry.delivered).length;
+  let deliveryStatus = 'pending';
+  if (completedAt) {
+    deliveryStatus = delivered === 0 ? 'failed' : delivered === deliveries.length ? 'delivered' : 'partial';
+  }
+
+  return update(signalId, { deliveries, deliveryStatus, completedAt });
+}
+
+/**
+ * List signals, newest first
+ * @param {Object} filters - symbol, action, strategy, status (delivery status), from, to (Dates), limit, skip
+ * @returns {Promise<Object>} { total, limit, skip, items }
+ */
+async function list(filters = {}) {
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const skip = Math.max(parseInt(filters.skip, 10) || 0, 0);
+  const { query, matches } = buildFilter(filters);
+
+  if (isMongoConnected()) {
+    try {
+      const [total, items] = await Promise.all([
+        Signal.countDocuments(query),
+        Signal.find(query, { _id: 0, __v: 0 }).sort({ receivedAt: -1 }).skip(skip).limit(limit).lean()
+      ]);
+      return { total, limit, skip, items };
+    } catch (error) {
+      log('error', 'Failed to list signals', { error: error.message });
+    }
+  }
+
+  const all = [...signals.values()].filter(matches).sort((a, b) => b.receivedAt - a.receivedAt);
+  return { total: all.length, limit, skip, items: all.slice(skip, skip + limit) };
+}
+
+/**
+ * Look up a signal
+ * @param {string} signalId - Signal ID
+ * @returns {Promise<Object|null>} Signal or null if unknown
+ */
+async function get(signalId) {
+  if (signals.has(signalId)) {
+    return signals.get(signalId);
+  }
+
+  if (!isMongoConnected()) {
+    return null;
+  }
+
+  try {
+    return await Signal.findOne({ signalId }, { _id: 0, __v: 0 }).lean();
+  } catch (error) {
+    log('error', 'Failed to load signal', { signalId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Find the signal an alert refers to by its signal_id, or by the signal ID this server assigned
+ * @param {string} ref - signal_id from the alert
+ * @returns {Promise<Object|null>} Most recent matching signal or null
+ */
+async function findByRef(ref) {
+  const cached = [...signals.values()].reverse().find(signal => signal.externalId === ref || signal.signalId === ref);
+  if (cached || !isMongoConnected()) {
+    return cached || null;
+  }
+
+  try {
+    return await Signal.findOne({ $or: [{ externalId: ref }, { signalId: ref }] }, { _id: 0, __v: 0 })
+      .sort({ receivedAt: -1 })
+      .lean();
+  } catch (error) {
+    log('error', 'Failed to look up signal', { ref, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Most recent entry signal of a symbol whose position is still open
+ * @param {string} symbol - Symbol
+ * @param {Object} options - strategy (only entries of that strategy), actions (only entries with one of these actions)
+ * @returns {Promise<Object|null>} Entry signal or null
+ */
+async function findOpenEntry(symbol, { strategy = null, actions = null } = {}) {
+  const normalized = normalizeSymbol(symbol);
+  const matches = (signal) => signal.symbol === normalized && signal.positionStatus === 'open' &&
+    (!strategy || signal.strategy === strategy) &&
+    (!actions || actions.includes(signal.action));
+  const cached = [...signals.values()].reverse().find(matches);
+  if (cached || !isMongoConnected()) {
+    return cached || null;
+  }
+
+  const query = { symbol: normalized, positionStatus: 'open' };
+  if (strategy) query.strategy = strategy;
+  if (actions) query.action = { $in: actions };
+
+  try {
+    return await Signal.findOne(query, { _id: 0, __v: 0 })
+      .sort({ receivedAt: -1 })
+      .lean();
+  } catch (error) {
+    log('error', 'Failed to look up open entry', { symbol: normalized, strategy, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Number of trading signals per symbol received in a time range, most active first
+ * @param {Object} filters - from, to (Dates, on receivedAt)
+ * @returns {Promise<Array<Object>>} [{ symbol, count }]
+ */
+async function countBySymbol({ from, to } = {}) {
+  const { query, matches } = buildFilter({ from, to });
+  query.type = 'signal';
+
+  let counts = null;
+  if (isMongoConnected()) {
+    try {
+      const grouped = await Signal.aggregate([
+        { $match: query },
+        { $group: { _id: '$symbol', count: { $sum: 1 } } }
+      ]);
+      counts = grouped.map(group => ({ symbol: group._id || 'unknown', count: group.count }));
+    } catch (error) {
+      log('error', 'Failed to count signals', { error: error.message });
+    }
+  }
+
+  if (!counts) {
+    const bySymbol = new Map();
+    [...signals.values()].filter(signal => signal.type === 'signal' && matches(signal)).forEach(signal => {
+      const key = signal.symbol || 'unknown';
+      bySymbol.set(key, (bySymbol.get(key) || 0) + 1);
+    });
+    counts = [...bySymbol.entries()].map(([symbol, count]) => ({ symbol, count }));
+  }
+
+  return counts.sort((a, b) => b.count - a.count || a.symbol.localeCompare(b.symbol));
+}
+
+/**
+ * Entry signals (those that opened a position), oldest first
+ * @param {Object} filters - symbol, strategy, from, to (Dates, on receivedAt)
+ * @param {string} filters.positionStatus - Only 'open' or only 'closed' positions
+ * @param {Date} filters.closedFrom - Only positions closed at or after this time
+ * @param {Date} filters.closedTo - Only positions closed at or before this time
+ * @param {Object} page - limit (default and cap PERFORMANCE_MAX_TRADES) and skip, counted from the newest entry
+ * @returns {Promise<Object>} { total, entries }, total counting every matching entry
+ */
+async function findEntries({ symbol, strategy, from, to, positionStatus, closedFrom, closedTo } = {}, page = {}) {
+  const filter = buildFilter({ symbol, strategy, from, to });
+  const { query } = filter;
+  query.positionStatus = positionStatus || { $in: ['open', 'closed'] };
+  if (closedFrom || closedTo) {
+    query.closedAt = {};
+    if (closedFrom) query.closedAt.$gte = closedFrom;
+    if (closedTo) query.closedAt.$lte = closedTo;
+  }
+
+  const limit = Math.min(Math.max(parseInt(page.limit, 10) || MAX_ENTRIES, 1), MAX_ENTRIES);
+  const skip = Math.max(parseInt(page.skip, 10) || 0, 0);
+
+  const matches = (signal) => filter.matches(signal) &&
+    (!positionStatus || signal.positionStatus === positionStatus) &&
+    (!closedFrom || (signal.closedAt && signal.closedAt >= closedFrom)) &&
+    (!closedTo || (signal.closedAt && signal.closedAt <= closedTo));
+
+  if (isMongoConnected()) {
+    try {
+      const [total, entries] = await Promise.all([
+        Signal.countDocuments(query),
+        Signal.find(query, { _id: 0, __v: 0 }).sort({ receivedAt: -1 }).skip(skip).limit(limit).lean()
+      ]);
+      return { total, entries: entries.reverse() };
+    } catch (error) {
+      log('error', 'Failed to load entry signals', { error: error.message });
+    }
+  }
+
+  const entries = [...signals.values()]
+    .filter(signal => signal.positionStatus && matches(signal))
+    .sort((a, b) => a.receivedAt - b.receivedAt);
+  return { total: entries.length, entries: entries.slice(Math.max(entries.length - skip - limit, 0), Math.max(entries.length - skip, 0)) };
+}
+
+/**
+ * Follow-ups threaded under any of the given entries, oldest first
+ * @param {Array<string>} parentSignalIds - Entry signal IDs
+ * @returns {Promise<Array<Object>>} Follow-up signals
+ */
+async function findFollowUps(parentSignalIds) {
+  if (parentSignalIds.length === 0) {
+    return [];
+  }
+
+  const found = new Map();
+
+  if (isMongoConnected()) {
+    try {
+      const stored = await Signal.find({ parentSignalId: { $in: parentSignalIds } }, { _id: 0, __v: 0 }).lean();
+      stored.forEach(signal => found.set(signal.signalId, signal));
+    } catch (error) {
+      log('error', 'Failed to load follow-up signals', { error: error.message });
+    }
+  }
+
+  const ids = new Set(parentSignalIds);
+  for (const signal of signals.values()) {
+    if (ids.has(signal.parentSignalId)) {
+      found.set(signal.signalId, signal);
+    }
+  }
+
+  return [...found.values()].sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  extractStrategy,
+  record,
+  update,
+  recordDelivery,
+  list,
+  get,
+  findByRef,
+  findOpenEntry,
+  countBySymbol,
+  findEntries,
+  findFollowUps
+};
@@ -0,0 +1,271 @@
+const appConfig = require('./config');
+
+const { CHANNELS } = appConfig;
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ROUTER ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// Payload fields that pick recipients for a single alert, per channel
+const OVERRIDE_FIELDS = {
+  whatsapp: ['phonenumber', 'phonenumbers', 'groupid', 'groupids'],
+  telegram: ['telegram_chat_id', 'telegram_chat_ids']
+};
+
+// Split "a,b" strings and arrays into a clean list of destination IDs
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Compare WhatsApp numbers by digits only so "whatsapp:+90 555..." and "90555...@c.us" match,
+// group IDs are compared as-is
+const normalizeDestination = (channel, destination) => {
+  const value = String(destination).trim();
+  if (channel === 'whatsapp' && !value.toLowerCase().endsWith('@g.us')) {
+    return value.replace(/@.*/, '').replace(/\D/g, '');
+  }
+  return value.toLowerCase();
+};
+
+/**
+ * Default destinations used when no rule matches (and for channels the matched rules leave out)
+ * @param {string} type - Signal type ('text' or 'signal')
+ * @returns {Object} { whatsapp: [], telegram: [] }
+ */
+function getDefaultRoute(type) {
+  const { defaults } = appConfig.getConfig();
+  const route = type === 'text' ? defaults.text : defaults.signal;
+
+  return {
+    whatsapp: [...route.whatsapp],
+    telegram: [...route.telegram]
+  };
+}
+
+/**
+ * Match a value against a pattern
+ * Patterns are exact strings (case-insensitive), globs with "*", "/regex/flags" strings,
+ * or arrays of those (any may match)
+ */
+function matchesPattern(pattern, value) {
+  if (Array.isArray(pattern)) {
+    return pattern.some(item => matchesPattern(item, value));
+  }
+
+  if (value === undefined || value === null) {
+    return false;
+  }
+
+  const text = String(value).trim();
+  const patternText = String(pattern).trim();
+
+  const regexMatch = patternText.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2]).test(text);
+    } catch (error) {
+      log('warn', 'Invalid regex in routing rule', { pattern: patternText, error: error.message });
+      return false;
+    }
+  }
+
+  if (patternText.includes('*')) {
+    const escaped = patternText.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`, 'i').test(text);
+  }
+
+  return text.toLowerCase() === patternText.toLowerCase();
+}
+
+// Case-insensitive field lookup
+const findField = (data, field) => {
+  const key = Object.keys(data || {}).find(k => k.toLowerCase() === String(field).toLowerCase());
+  return key !== undefined ? data[key] : undefined;
+};
+
+/**
+ * Check whether a rule's match block applies to a signal
+ * Supported keys: type, symbol, exchange, action, title, fields (payload field patterns)
+ * @param {Object} match - Rule match block, all keys must match
+ * @param {Object} signal - Built signal ({ type, signalData })
+ * @returns {boolean} True when every condition matches
+ */
+function matchesRule(match = {}, signal) {
+  const { signalData = {} } = signal;
+  const fullSymbol = String(signalData.symbol || '');
+  const [exchangePrefix, bareSymbol] = fullSymbol.includes(':')
+    ? fullSymbol.split(':')
+    : [findField(signalData, 'exchange'), fullSymbol];
+
+  const checks = {
+    type: () => matchesPattern(match.type, signal.type),
+    symbol: () => matchesPattern(match.symbol, bareSymbol) || matchesPattern(match.symbol, fullSymbol),
+    exchange: () => matchesPattern(match.exchange, exchangePrefix),
+    action: () => matchesPattern(match.action, signalData.action),
+    title: () => matchesPattern(match.title, signalData.title),
+    fields: () => Object.keys(match.fields).every(field => matchesPattern(match.fields[field], findField(signalData, field)))
+  };
+
+  return Object.keys(match).every(key => {
+    if (!checks[key]) {
+      log('warn', `Unknown match key "${key}" in routing rule, treating as no match`);
+      return false;
+    }
+    return checks[key]();
+  });
+}
+
+/**
+ * Resolve destinations for a signal
+ * Rules are evaluated in order and the first match wins, unless it sets "continue": true,
+ * in which case its destinations are added and evaluation goes on. A channel that none of
+ * the matched rules lists uses the default destinations; an empty list sends nothing.
+ * Recipient overrides from the payload replace the routed destinations of their channel.
+ * @param {Object} signal - Built signal ({ type, signalData })
+ * @param {Object} overrides - Validated overrides from extractOverrides()
+ * @returns {Object} { rules: [names], whatsapp: [], telegram: [], overrides?: [channels] }
+ */
+function resolveRoute(signal, overrides = {}) {
+  const config = appConfig.getConfig();
+  const route = resolveRuleRoute(signal, config.routes);
+  const overridden = CHANNELS.filter(channel => overrides[channel]);
+
+  overridden.forEach(channel => {
+    route[channel] = overrides[channel];
+  });
+  if (overridden.length > 0) {
+    route.overrides = overridden;
+  }
+
+  // Channels switched off in the configuration send nothing
+  CHANNELS.filter(channel => !config.channels[channel].enabled).forEach(channel => {
+    route[channel] = [];
+  });
+
+  return route;
+}
+
+function resolveRuleRoute(signal, rules) {
+  const defaultRoute = getDefaultRoute(signal.type);
+  const matchedRules = [];
+  const destinations = { whatsapp: new Set(), telegram: new Set() };
+  const configured = { whatsapp: false, telegram: false };
+
+  for (const [index, rule] of rules.entries()) {
+    if (!matchesRule(rule.match, signal)) {
+      continue;
+    }
+
+    matchedRules.push(rule.name || `rule-${index}`);
+    CHANNELS.forEach(channel => {
+      if (rule[channel] !== undefined) {
+        configured[channel] = true;
+        toList(rule[channel]).forEach(target => destinations[channel].add(target));
+      }
+    });
+
+    if (!rule.continue) {
+      break;
+    }
+  }
+
+  if (matchedRules.length === 0) {
+    return { rules: ['default'], ...defaultRoute };
+  }
+
+  // Channels none of the matched rules mention fall back to the default destinations
+  return {
+    rules: matchedRules,
+    whatsapp: configured.whatsapp ? [...destinations.whatsapp] : defaultRoute.whatsapp,
+    telegram: configured.telegram ? [...destinations.telegram] : defaultRoute.telegram
+  };
+}
+
+/**
+ * Every destination a payload is allowed to pick: the default routes, named destinations,
+ * all routing rule destinations and the configured allowed recipients
+ * @returns {Object} { whatsapp: Set, telegram: Set } of normalized destinations
+ */
+function getKnownDestinations() {
+  const config = appConfig.getConfig();
+  const known = CHANNELS.reduce((acc, channel) => {
+    acc[channel] = [
+      ...config.defaults.signal[channel],
+      ...config.defaults.text[channel],
+      ...config.allowedRecipients[channel]
+    ];
+    return acc;
+  }, {});
+
+  Object.values(config.destinations).forEach(destination => {
+    // Email destinations are fallbacks only, never payload recipients
+    if (known[destination.channel]) {
+      known[destination.channel].push(destination.id);
+    }
+  });
+  config.routes.forEach(rule => {
+    CHANNELS.forEach(channel => known[channel].push(...toList(rule[channel])));
+  });
+
+  return CHANNELS.reduce((acc, channel) => {
+    acc[channel] = new Set(known[channel].map(destination => normalizeDestination(channel, destination)));
+    return acc;
+  }, {});
+}
+
+/**
+ * Read recipient overrides from a webhook payload and check them against the known destinations
+ * phonenumber(s)/groupid(s) pick WhatsApp recipients, telegram_chat_id(s) pick Telegram chats;
+ * each field takes a single value, a comma-separated string or an array
+ * @param {Object} payload - Webhook payload
+ * @returns {Object} { whatsapp?: [], telegram?: [] } with only the overridden channels, or { error }
+ */
+function extractOverrides(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return {};
+  }
+
+  const overrides = {};
+  Object.keys(payload).forEach(key => {
+    const channel = CHANNELS.find(name => OVERRIDE_FIELDS[name].includes(key.toLowerCase()));
+    if (channel) {
+      overrides[channel] = [...(overrides[channel] || []), ...toList(payload[key])];
+    }
+  });
+
+  if (Object.keys(overrides).length === 0) {
+    return {};
+  }
+
+  const known = getKnownDestinations();
+  const unknown = [];
+  Object.keys(overrides).forEach(channel => {
+    overrides[channel] = [...new Set(overrides[channel])];
+    overrides[channel]
+      .filter(destination => !known[channel].has(normalizeDestination(channel, destination)))
+      .forEach(destination => unknown.push(`${channel}:${destination}`));
+  });
+
+  if (unknown.length > 0) {
+    log('warn', 'Rejected recipient overrides that are not known destinations', { unknown });
+    return { error: `Unknown recipients: ${unknown.join(', ')}` };
+  }
+
+  return overrides;
+}
+
+module.exports = {
+  resolveRoute,
+  extractOverrides,
+  matchesRule,
+  getDefaultRoute
+};
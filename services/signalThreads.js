@@ -0,0 +1,194 @@
+const signalActions = require('./signalActions');
+const signalHistory = require('./signalHistory');
+const outboundQueue = require('./outboundQueue');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] THREADS ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+// Signal lifecycle threading: TP/SL/close/update/cancel alerts are linked to the entry they
+// belong to, either through the signal_id both alerts carry or through the symbol's open
+// position. Their messages then go out as replies to the entry's message in every chat.
+// A position closes on a stop loss, close or cancel, on its last take-profit, or when an
+// entry in the opposite direction reverses it.
+
+// Payload keys carrying the alert's own signal ID, compared lowercased with separators removed
+const SIGNAL_REF_KEYS = ['signalid'];
+
+// Follow-ups that end the entry's position
+const CLOSING_ACTIONS = ['SL', 'CLOSE', 'CANCEL'];
+// Take-profit levels in order, with the entry payload keys that declare each target
+const TAKE_PROFIT_LEVELS = [
+  { action: 'TP1', keys: ['tp1', 'tp'] },
+  { action: 'TP2', keys: ['tp2'] },
+  { action: 'TP3', keys: ['tp3'] }
+];
+
+/**
+ * Signal ID sent with an alert ("signal_id", "signalId")
+ * @param {Object} payload - Webhook payload
+ * @returns {string|null} Signal ID or null when the alert doesn't carry one
+ */
+function getSignalRef(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  const key = Object.keys(payload).find(k => SIGNAL_REF_KEYS.includes(k.toLowerCase().replace(/[^a-z0-9]/g, '')));
+  const value = key !== undefined ? payload[key] : null;
+  return value !== null && value !== undefined && String(value).trim() ? String(value).trim() : null;
+}
+
+/**
+ * Whether a take-profit is the entry's last one: its highest declared target, or TP3
+ * when the entry didn't list its targets
+ * @param {string} action - Canonical action of the follow-up
+ * @param {Object} entry - Entry signal record
+ * @returns {boolean}
+ */
+function isFinalTakeProfit(action, entry) {
+  const level = TAKE_PROFIT_LEVELS.findIndex(tp => tp.action === action);
+  if (level === -1) {
+    return false;
+  }
+
+  const keys = Object.keys(entry?.signalData || {}).map(key => key.toLowerCase());
+  const declared = TAKE_PROFIT_LEVELS.map((tp, index) => (tp.keys.some(key => keys.includes(key)) ? index : -1));
+  const last = Math.max(...declared);
+  return level >= (last === -1 ? TAKE_PROFIT_LEVELS.length - 1 : last);
+}
+
+// Entry actions on the other side of the given entry action
+function getOppositeEntryActions(action) {
+  const { direction } = signalActions.getActionDefinition(action);
+  return Object.keys(signalActions.SIGNAL_ACTIONS).filter(name => {
+    const definition = signalActions.SIGNAL_ACTIONS[name];
+    return definition.type === 'entry' && definition.direction !== direction;
+  });
+}
+
+/**
+ * Work out where a new signal sits in a trade's lifecycle
+ * Entries open a position and reverse the symbol's open entry on the other side; follow-ups
+ * are linked to the entry named by their signal_id, or without one to the symbol's most recent
+ * open entry. Open entries are matched within the alert's strategy when it names one.
+ * @param {Object} signal - Built signal from buildSignal
+ * @param {Object} payload - Webhook payload
+ * @returns {Promise<Object>} { externalId, parentSignalId, positionStatus, closesSignalId }
+ */
+async function resolveThread(signal, payload) {
+  const ref = getSignalRef(payload);
+  const { action } = signal.signalData;
+  const definition = signalActions.getActionDefinition(action);
+
+  if (signal.type !== 'signal' || !definition) {
+    return { externalId: ref, parentSignalId: null, positionStatus: null, closesSignalId: null };
+  }
+
+  const strategy = signalHistory.extractStrategy(payload);
+
+  if (definition.type === 'entry') {
+    const reversed = await signalHistory.findOpenEntry(signal.symbol, {
+      strategy,
+      actions: getOppositeEntryActions(action)
+    });
+    if (reversed) {
+      log('info', 'Entry reverses the open position on the other side', {
+        action,
+        symbol: signal.symbol,
+        reversedSignalId: reversed.signalId
+      });
+    }
+    return { externalId: ref, parentSignalId: null, positionStatus: 'open', closesSignalId: reversed?.signalId || null };
+  }
+
+  const parent = ref
+    ? await signalHistory.findByRef(ref)
+    : await signalHistory.findOpenEntry(signal.symbol, { strategy });
+
+  if (!parent) {
+    log('info', 'No entry found for follow-up signal, sending it unthreaded', {
+      action,
+      symbol: signal.symbol,
+      signalRef: ref
+    });
+    return { externalId: ref, parentSignalId: null, positionStatus: null, closesSignalId: null };
+  }
+
+  // A follow-up that names another follow-up joins that follow-up's thread
+  const parentSignalId = parent.parentSignalId || parent.signalId;
+
+  const entry = parentSignalId === parent.signalId ? parent : await signalHistory.get(parentSignalId);
+  const closes = CLOSING_ACTIONS.includes(action) || isFinalTakeProfit(action, entry);
+
+  log('info', 'Follow-up signal linked to its entry', {
+    action,
+    symbol: signal.symbol,
+    parentSignalId,
+    matchedBy: ref ? 'signal_id' : 'open_position',
+    closesPosition: closes
+  });
+
+  return { externalId: ref, parentSignalId, positionStatus: null, closesSignalId: closes ? parentSignalId : null };
+}
+
+/**
+ * Close the position a newly accepted signal ends: its entry's for a closing follow-up,
+ * the reversed entry's for an entry on the other side
+ * @param {string} signalId - ID of the accepted signal
+ * @param {Object} thread - Result of resolveThread
+ */
+async function closePosition(signalId, thread) {
+  if (!thread.closesSignalId) {
+    return;
+  }
+
+  await signalHistory.update(thread.closesSignalId, {
+    positionStatus: 'closed',
+    closedAt: new Date(),
+    closedBySignalId: signalId
+  });
+}
+
+/**
+ * Provider message ID of the entry's message in a chat, to reply to or quote
+ * Messages still in the outbound queue are checked first, then the signal history
+ * @param {Object|undefined} thread - payload.thread of an outbound message ({ parentSignalId })
+ * @param {string} channel - Channel of the follow-up message
+ * @param {string} destination - Destination of the follow-up message
+ * @returns {Promise<string|null>} Provider message ID, or null when the entry never reached that chat
+ */
+async function getReplyTarget(thread, channel, destination) {
+  if (!thread?.parentSignalId) {
+    return null;
+  }
+
+  const isTarget = (item) => item.channel === channel && item.destination === destination && item.status === 'sent';
+
+  const queued = (await outboundQueue.getMessagesForJob(thread.parentSignalId)).find(isTarget);
+  if (queued?.result?.messageId) {
+    return queued.result.messageId;
+  }
+
+  const parent = await signalHistory.get(thread.parentSignalId);
+  for (const delivery of parent?.deliveries || []) {
+    const match = [delivery, ...(delivery.fallbacks || [])].find(item => isTarget(item) && item.messageId);
+    if (match) {
+      return match.messageId;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getSignalRef,
+  resolveThread,
+  closePosition,
+  getReplyTarget
+};
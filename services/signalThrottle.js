@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] THROTTLE ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+const parseIntEnv = (value, defaultValue) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? defaultValue : parsed;
+};
+
+// Default cooldown for a symbol/action (0 disables)
+const DEFAULT_COOLDOWN_SECONDS = parseIntEnv(process.env.SIGNAL_COOLDOWN_SECONDS, 60);
+// Include the payload's "strategy" field in the cooldown key
+const COOLDOWN_BY_STRATEGY = process.env.SIGNAL_COOLDOWN_BY_STRATEGY === 'true';
+// Global ceiling across all symbols (0 disables)
+const RATE_LIMIT_MAX = parseIntEnv(process.env.SIGNAL_RATE_LIMIT_MAX, 30);
+const RATE_LIMIT_WINDOW_SECONDS = parseIntEnv(process.env.SIGNAL_RATE_LIMIT_WINDOW_SECONDS, 60);
+
+/**
+ * Parse per-symbol cooldown overrides
+ * @param {string} value - e.g. "XAUUSD:600,BTCUSDT:300"
+ * @returns {Object} Map of symbol to cooldown seconds
+ */
+function parseCooldownOverrides(value) {
+  if (!value) {
+    return {};
+  }
+
+  return value.split(',').reduce((acc, entry) => {
+    const [symbol, seconds] = entry.split(':').map(part => part && part.trim());
+    const parsedSeconds = parseInt(seconds, 10);
+    if (symbol && !isNaN(parsedSeconds)) {
+      acc[symbol.toUpperCase()] = parsedSeconds;
+    }
+    return acc;
+  }, {});
+}
+
+const cooldownOverrides = parseCooldownOverrides(process.env.SIGNAL_COOLDOWNS);
+
+// Last accepted time per cooldown key
+const lastAccepted = new Map();
+// Accept timestamps inside the global rate window
+let recentAccepts = [];
+
+const stats = {
+  accepted: 0,
+  suppressed: 0,
+  byReason: {},
+  bySymbol: {}
+};
+
+// "BINANCE:BTCUSDT" and "btcusdt" share a cooldown
+const normalizeSymbol = (symbol) => String(symbol || '').toUpperCase().split(':').pop().trim();
+
+function getCooldownSeconds(symbol) {
+  return cooldownOverrides[symbol] !== undefined ? cooldownOverrides[symbol] : DEFAULT_COOLDOWN_SECONDS;
+}
+
+// Text alerts have no action, only a repeat of the same text shares their cooldown
+const hashText = (text) => crypto.createHash('sha1').update(String(text || '').trim()).digest('hex').slice(0, 16);
+
+function buildCooldownKey(signalData) {
+  const parts = [normalizeSymbol(signalData.symbol), signalData.action || `MESSAGE:${hashText(signalData.title)}`];
+  if (COOLDOWN_BY_STRATEGY) {
+    parts.push(String(signalData.strategy || '').trim().toLowerCase());
+  }
+  return parts.join('|');
+}
+
+function pruneExpired(now) {
+  const windowStart = now - RATE_LIMIT_WINDOW_SECONDS * 1000;
+  recentAccepts = recentAccepts.filter(time => time > windowStart);
+
+  // Drop cooldown entries older than the longest possible cooldown
+  const maxCooldown = Math.max(DEFAULT_COOLDOWN_SECONDS, ...Object.values(cooldownOverrides));
+  for (const [key, time] of lastAccepted) {
+    if (now - time > maxCooldown * 1000) {
+      lastAccepted.delete(key);
+    }
+  }
+}
+
+/**
+ * Check a signal against its cooldown and the global rate ceiling
+ * Does not record anything, call recordAccepted() once the signal is actually accepted
+ * @param {Object} signalData - Normalized signal data (symbol, action, optional strategy)
+ * @returns {Object} { allowed: true } or { allowed: false, reason, retryAfter, message }
+ */
+function checkSignal(signalData) {
+  const now = Date.now();
+  pruneExpired(now);
+
+  const symbol = normalizeSymbol(signalData.symbol);
+  const cooldownSeconds = getCooldownSeconds(symbol);
+  const key = buildCooldownKey(signalData);
+  const lastTime = lastAccepted.get(key);
+
+  if (cooldownSeconds > 0 && lastTime && now - lastTime < cooldownSeconds * 1000) {
+    return {
+      allowed: false,
+      reason: 'cooldown',
+      key,
+      retryAfter: Math.ceil((lastTime + cooldownSeconds * 1000 - now) / 1000),
+      message: `${signalData.action || 'Same message'}${symbol ? ` for ${symbol}` : ''} already sent within the last ${cooldownSeconds}s`
+    };
+  }
+
+  if (RATE_LIMIT_MAX > 0 && recentAccepts.length >= RATE_LIMIT_MAX) {
+    return {
+      allowed: false,
+      reason: 'rate_limit',
+      key,
+      retryAfter: Math.ceil((recentAccepts[0] + RATE_LIMIT_WINDOW_SECONDS * 1000 - now) / 1000),
+      message: `Global limit of ${RATE_LIMIT_MAX} signals per ${RATE_LIMIT_WINDOW_SECONDS}s reached`
+    };
+  }
+
+  return { allowed: true, key };
+}
+
+/**
+ * Record an accepted signal so later repeats hit its cooldown
+ * @param {Object} signalData - Normalized signal data
+ */
+function recordAccepted(signalData) {
+  const now = Date.now();
+  lastAccepted.set(buildCooldownKey(signalData), now);
+  recentAccepts.push(now);
+  stats.accepted++;
+}
+
+/**
+ * Record and log a suppressed signal
+ * @param {Object} signalData - Normalized signal data
+ * @param {Object} result - Result of checkSignal
+ */
+function recordSuppressed(signalData, result) {
+  const symbol = normalizeSymbol(signalData.symbol);
+  stats.suppressed++;
+  stats.byReason[result.reason] = (stats.byReason[result.reason] || 0) + 1;
+  stats.bySymbol[symbol] = (stats.bySymbol[symbol] || 0) + 1;
+
+  log('warn', 'Signal suppressed', {
+    symbol,
+    action: signalData.action,
+    strategy: signalData.strategy,
+    reason: result.reason,
+    retryAfter: result.retryAfter,
+    totalSuppressed: stats.suppressed
+  });
+}
+
+/**
+ * Get throttle configuration and counters
+ * @returns {Object} Throttle stats
+ */
+function getThrottleStats() {
+  return {
+    cooldownSeconds: DEFAULT_COOLDOWN_SECONDS,
+    cooldownOverrides: { ...cooldownOverrides },
+    cooldownByStrategy: COOLDOWN_BY_STRATEGY,
+    rateLimit: { max: RATE_LIMIT_MAX, windowSeconds: RATE_LIMIT_WINDOW_SECONDS, current: recentAccepts.length },
+    accepted: stats.accepted,
+    suppressed: stats.suppressed,
+    byReason: { ...stats.byReason },
+    bySymbol: { ...stats.bySymbol }
+  };
+}
+
+module.exports = {
+  checkSignal,
+  recordAccepted,
+  recordSuppressed,
+  getThrottleStats
+};
@@ -0,0 +1,156 @@
+// Maps TradingView strategy placeholders ({{strategy.order.action}}, {{strategy.market_position}},
+// {{strategy.prev_market_position}} ...) onto the signal action vocabulary
+
+// Payload keys are compared lowercased with separators removed, so "market_position",
+// "strategy.market_position" and "marketPosition" all match
+const MARKET_POSITION_KEYS = ['marketposition', 'strategymarketposition'];
+const PREV_MARKET_POSITION_KEYS = ['prevmarketposition', 'strategyprevmarketposition'];
+const ORDER_ACTION_KEYS = ['orderaction', 'strategyorderaction'];
+const POSITION_SIZE_KEYS = ['marketpositionsize', 'strategymarketpositionsize', 'positionsize', 'strategypositionsize'];
+const PREV_POSITION_SIZE_KEYS = ['prevmarketpositionsize', 'strategyprevmarketpositionsize'];
+
+const STRATEGY_KEYS = [
+  ...MARKET_POSITION_KEYS,
+  ...PREV_MARKET_POSITION_KEYS,
+  ...ORDER_ACTION_KEYS,
+  ...POSITION_SIZE_KEYS,
+  ...PREV_POSITION_SIZE_KEYS
+];
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Find the first payload value whose normalized key is in the list
+function findValue(payload, keys) {
+  const key = Object.keys(payload).find(k => keys.includes(normalizeKey(k)));
+  return key !== undefined ? payload[key] : undefined;
+}
+
+function normalizePosition(value) {
+  const position = String(value || '').trim().toLowerCase();
+  return ['long', 'short', 'flat'].includes(position) ? position : null;
+}
+
+function parseSize(value) {
+  const size = Math.abs(parseFloat(value));
+  return isNaN(size) ? null : size;
+}
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Check whether a payload carries strategy position placeholders
+ * @param {Object} payload - Webhook payload
+ * @returns {boolean} True when both current and previous market position are present
+ */
+function isStrategyAlert(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return false;
+  }
+
+  return findValue(payload, MARKET_POSITION_KEYS) !== undefined &&
+    findValue(payload, PREV_MARKET_POSITION_KEYS) !== undefined;
+}
+
+/**
+ * Work out what a strategy order did to the position
+ * @param {Object} payload - Webhook payload with strategy placeholders
+ * @returns {Object|null} { event, action, description } or null if it can't be determined
+ *   event is one of 'open', 'reverse', 'add', 'reduce', 'flatten'
+ */
+function classifyStrategyAlert(payload) {
+  const current = normalizePosition(findValue(payload, MARKET_POSITION_KEYS));
+  const previous = normalizePosition(findValue(payload, PREV_MARKET_POSITION_KEYS));
+  const orderAction = String(findValue(payload, ORDER_ACTION_KEYS) || payload.action || '').trim().toLowerCase();
+
+  if (!current || !previous) {
+    return null;
+  }
+
+  if (previous === 'flat' && current !== 'flat') {
+    return {
+      event: 'open',
+      action: current.toUpperCase(),
+      description: `${capitalize(current)} opened`
+    };
+  }
+
+  if (previous !== 'flat' && current === 'flat') {
+    return {
+      event: 'flatten',
+      action: 'CLOSE',
+      description: `${capitalize(previous)} closed`
+    };
+  }
+
+  if (previous !== 'flat' && current !== 'flat' && previous !== current) {
+    return {
+      event: 'reverse',
+      action: current.toUpperCase(),
+      description: `${capitalize(previous)} closed, ${capitalize(current)} opened`
+    };
+  }
+
+  if (previous === current && current !== 'flat') {
+    // Same side: compare sizes when available, otherwise infer from the order direction
+    const size = parseSize(findValue(payload, POSITION_SIZE_KEYS));
+    const prevSize = parseSize(findValue(payload, PREV_POSITION_SIZE_KEYS));
+
+    let increased;
+    if (size !== null && prevSize !== null && size !== prevSize) {
+      increased = size > prevSize;
+    } else if (orderAction === 'buy' || orderAction === 'sell') {
+      increased = (orderAction === 'buy') === (current === 'long');
+    } else {
+      return null;
+    }
+
+    return increased
+      ? { event: 'add', action: current.toUpperCase(), description: `${capitalize(current)} increased` }
+      // A partial exit leaves the position open, so it is an update rather than a close
+      : { event: 'reduce', action: 'UPDATE', description: `${capitalize(current)} reduced` };
+  }
+
+  return null;
+}
+
+/**
+ * Turn a strategy alert payload into a regular signal payload
+ * Strategy placeholders are replaced by a mapped action and a human readable description
+ * @param {Object} payload - Webhook payload with strategy placeholders
+ * @returns {Object} { payload, event } with the mapped payload, or { error }
+ */
+function mapStrategyAlert(payload) {
+  const classification = classifyStrategyAlert(payload);
+
+  if (!classification) {
+    return {
+      error: 'Could not determine the position change from market_position, prev_market_position and order action'
+    };
+  }
+
+  const mapped = Object.keys(payload).reduce((acc, key) => {
+    if (!STRATEGY_KEYS.includes(normalizeKey(key))) {
+      acc[key] = payload[key];
+    }
+    return acc;
+  }, {});
+
+  mapped.action = classification.action;
+  // UPDATE needs something to show, the description is its message
+  if (classification.action === 'UPDATE' && !mapped.message) {
+    mapped.message = classification.description;
+  } else if (!mapped.title) {
+    // Use the description as title when there is none, otherwise show it as its own line
+    mapped.title = classification.description;
+  } else {
+    mapped.position = classification.description;
+  }
+
+  return { payload: mapped, event: classification.event };
+}
+
+module.exports = {
+  isStrategyAlert,
+  classifyStrategyAlert,
+  mapStrategyAlert
+};
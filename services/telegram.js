@@ -1,4 +1,10 @@
 const axios = require('axios');
+const { formatHeadline } = require('./signalActions');
+const { formatStatsMessage } = require('./performance');
+const circuitBreaker = require('./circuitBreaker');
+const { splitText, splitCaption } = require('./messageSplitter');
+
+const telegramBreaker = circuitBreaker.getBreaker('telegram');
 
 // Logging utility
 const log = (level, message, data = null) => {
@@ -9,6 +15,28 @@ const log = (level, message, data = null) => {
   }
 };
 
+// Flood control: how often a request is retried after a 429, and the longest retry_after
+// waited out in-process. Longer waits are left to the caller (the outbound queue reschedules)
+const FLOOD_MAX_RETRIES = parseInt(process.env.TELEGRAM_FLOOD_MAX_RETRIES, 10) || 3;
+const FLOOD_MAX_WAIT_SECONDS = parseInt(process.env.TELEGRAM_FLOOD_MAX_WAIT_SECONDS, 10) || 60;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Seconds Telegram asked us to wait, from a 429 "Too Many Requests: retry after N" response
+ * @param {Error} error - Axios error
+ * @returns {number|null} retry_after in seconds, null when this is not a flood-wait error
+ */
+function getRetryAfter(error) {
+  const data = error.response?.data || {};
+  if (error.response?.status !== 429 && data.error_code !== 429) {
+    return null;
+  }
+  const retryAfter = data.parameters?.retry_after ?? error.response?.headers?.['retry-after'];
+  const seconds = parseInt(retryAfter, 10);
+  return isNaN(seconds) ? 1 : Math.max(seconds, 1);
+}
+
 // Telegram service using Telegram Bot API
 class TelegramService {
   constructor() {
@@ -17,6 +45,16 @@ class TelegramService {
     this.apiUrl = this.botToken 
       ? `https://api.telegram.org/bot${this.botToken}`
       : null;
+
+    // Chat ID -> time (ms) until which Telegram asked us not to send to that chat
+    this.floodWaits = new Map();
+    this.floodStats = {
+      events: 0,
+      retried: 0,
+      gaveUp: 0,
+      waitedMs: 0,
+      lastEvent: null
+    };
     
     this.initializeService();
   }
@@ -75,7 +113,7 @@ class TelegramService {
     const messagePrice = this.formatNumber(price || data.close || "");
 
     // Build main message with title, datetime, action, symbol, price
-    let message = `${messageTitle}\n${messageDatetime}\n\n${messageAction} ${messageSymbol} ${messagePrice}`;
+    let message = `${messageTitle}\n${messageDatetime}\n\n${formatHeadline('telegram', messageAction, messageSymbol, messagePrice)}`;
     
     // Add all other properties as KEY: VALUE (preserve original order)
     const excludedKeys = ['title', 'datetime', 'action', 'side', 'symbol', 'ticker', 'price', 'close'];
@@ -97,6 +135,16 @@ class TelegramService {
     return message;
   }
 
+  /**
+   * Format a performance report as a stats message
+   * @param {Object} report - Report from performance.getReport
+   * @param {Object} options - { title, maxGroups }
+   * @returns {string} Message text (HTML parse mode)
+   */
+  formatStatsMessage(report, options = {}) {
+    return formatStatsMessage('telegram', report, options);
+  }
+
   /**
    * Format trading message with emojis (alternative format)
    */
@@ -115,32 +163,278 @@ class TelegramService {
 _Trading signal from TradingView_`;
   }
 
+  /**
+   * Split a chat target into chat ID and forum topic
+   * @param {string|number|Object} target - "-1001234567890", "-1001234567890:42" for topic 42,
+   *   or an object with chatId/chat_id and messageThreadId/message_thread_id
+   * @returns {Object} { chatId, messageThreadId } (messageThreadId is null without a topic)
+   */
+  parseChatTarget(target) {
+    if (target && typeof target === 'object') {
+      const chatId = target.chatId ?? target.chat_id ?? null;
+      const threadId = target.messageThreadId ?? target.message_thread_id ?? null;
+      return {
+        chatId: chatId !== null ? String(chatId).trim() : null,
+        messageThreadId: threadId !== null && threadId !== '' ? parseInt(threadId, 10) : null
+      };
+    }
+
+    if (target === undefined || target === null || target === '') {
+      return { chatId: null, messageThreadId: null };
+    }
+
+    const [chatId, threadId] = String(target).split(':').map(part => part.trim());
+    return {
+      chatId,
+      messageThreadId: threadId ? parseInt(threadId, 10) : null
+    };
+  }
+
+  /**
+   * Reply fields for a message sent as a reply to an earlier message in the same chat
+   * The message still goes out if the original was deleted in the meantime
+   * @param {string|number|null} replyToMessageId - Message to reply to
+   * @returns {Object} Bot API fields, empty without a message to reply to
+   */
+  getReplyFields(replyToMessageId) {
+    const messageId = parseInt(replyToMessageId, 10);
+    if (isNaN(messageId)) {
+      return {};
+    }
+    return { reply_to_message_id: messageId, allow_sending_without_reply: true };
+  }
+
+  /**
+   * Wait until a flood-wait pause on a chat is over
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  async waitForChat(chatId) {
+    const resumeAt = this.floodWaits.get(chatId);
+    if (!resumeAt) {
+      return 0;
+    }
+
+    const wait = resumeAt - Date.now();
+    if (wait <= 0) {
+      this.floodWaits.delete(chatId);
+      return 0;
+    }
+
+    log('info', 'Chat is paused after a flood-wait, waiting', { chatId, waitMs: wait });
+    await sleep(wait);
+    this.floodStats.waitedMs += wait;
+    if (this.floodWaits.get(chatId) <= Date.now()) {
+      this.floodWaits.delete(chatId);
+    }
+    return wait;
+  }
+
+  /**
+   * Call a Bot API method for a chat, pausing the chat and retrying when Telegram answers
+   * 429 with parameters.retry_after
+   * @param {string} method - Bot API method, e.g. 'sendMessage'
+   * @param {string} chatId - Chat the request is for, flood waits are tracked per chat
+   * @param {Function} buildRequest - () => [body, axiosConfig], called again for every attempt
+   *   so multipart bodies are rebuilt
+   * @returns {Promise<Object>} Axios response
+   * @throws {Error} The last error; flood-wait errors that were not waited out carry error.retryAfter (seconds)
+   */
+  async callApi(method, chatId, buildRequest) {
+    for (let retries = 0; ; retries++) {
+      await this.waitForChat(chatId);
+
+      try {
+        const [body, config] = buildRequest();
+        return await telegramBreaker.exec(() => axios.post(`${this.apiUrl}/${method}`, body, config));
+      } catch (error) {
+        const retryAfter = getRetryAfter(error);
+        if (retryAfter === null) {
+          throw error;
+        }
+
+        const resumeAt = Date.now() + retryAfter * 1000;
+        this.floodWaits.set(chatId, Math.max(resumeAt, this.floodWaits.get(chatId) || 0));
+        this.floodStats.events++;
+        this.floodStats.lastEvent = { chatId, method, retryAfter, at: new Date().toISOString() };
+
+        const giveUp = retries >= FLOOD_MAX_RETRIES || retryAfter > FLOOD_MAX_WAIT_SECONDS;
+        log('warn', giveUp ? 'Telegram flood-wait, giving up' : 'Telegram flood-wait, retrying', {
+          chatId,
+          method,
+          retryAfter,
+          retries
+        });
+
+        if (giveUp) {
+          this.floodStats.gaveUp++;
+          error.retryAfter = retryAfter;
+          throw error;
+        }
+        this.floodStats.retried++;
+      }
+    }
+  }
+
+  /**
+   * Flood-wait counters and the chats that are currently paused
+   * @returns {Object} Stats
+   */
+  getFloodWaitStats() {
+    const now = Date.now();
+    const pausedChats = [...this.floodWaits]
+      .filter(([, resumeAt]) => resumeAt > now)
+      .map(([chatId, resumeAt]) => ({ chatId, resumeAt: new Date(resumeAt).toISOString() }));
+
+    return {
+      ...this.floodStats,
+      pausedChats,
+      maxRetries: FLOOD_MAX_RETRIES,
+      maxWaitSeconds: FLOOD_MAX_WAIT_SECONDS
+    };
+  }
+
+  /**
+   * Send to several chats one after another and aggregate the per-chat results
+   * Same report shape as WhatsAppService.sendFormattedMessageToPerson for multiple numbers
+   * @param {Array} targets - Chat targets (see parseChatTarget)
+   * @param {Function} sendOne - async (target) => single send result
+   * @returns {Promise<Object>} { success, total, succeeded, failed, results: [{ chatId, messageThreadId, success, messageId, error }] }
+   * @throws {Error} When every chat failed, with the report attached as error.results
+   */
+  async sendToChats(targets, sendOne) {
+    if (targets.length === 0) {
+      throw new Error('No Telegram chat IDs provided');
+    }
+
+    const results = {
+      success: false,
+      total: targets.length,
+      succeeded: 0,
+      failed: 0,
+      results: []
+    };
+
+    for (const target of targets) {
+      const { chatId, messageThreadId } = this.parseChatTarget(target);
+      try {
+        const result = await sendOne(target);
+        results.succeeded++;
+        results.results.push({
+          chatId,
+          messageThreadId,
+          success: true,
+          messageId: result?.messageId
+        });
+      } catch (error) {
+        results.failed++;
+        results.results.push({
+          chatId,
+          messageThreadId,
+          success: false,
+          error: error.response?.data?.description || error.message
+        });
+      }
+    }
+
+    // Consider it successful if at least one chat received the message
+    results.success = results.succeeded > 0;
+
+    log(results.success ? 'info' : 'error', 'Telegram fan-out completed', {
+      total: results.total,
+      succeeded: results.succeeded,
+      failed: results.failed
+    });
+
+    if (results.succeeded === 0) {
+      const error = new Error(`Failed to send message to all ${results.total} Telegram chats`);
+      error.results = results;
+      throw error;
+    }
+
+    return results;
+  }
+
+  /**
+   * Send the remaining parts of a split message or caption, in order
+   * A failed part is logged and counted, it doesn't undo the parts already sent
+   * @param {Object} result - Result of the first part (message or photo)
+   * @param {Array<string>} parts - Remaining parts
+   * @param {string} parseMode - Parse mode
+   * @param {string|number|Object} chatId - Chat target
+   * @returns {Promise<Object>} The first result with followUpMessageIds and followUpsFailed added
+   */
+  async sendFollowUps(result, parts, parseMode, chatId) {
+    if (parts.length === 0) {
+      return result;
+    }
+
+    const followUpMessageIds = [];
+    let followUpsFailed = 0;
+    for (const part of parts) {
+      try {
+        const partResult = await this.sendMessage(part, parseMode, chatId);
+        followUpMessageIds.push(partResult.messageId);
+      } catch (error) {
+        followUpsFailed++;
+        log('error', 'Failed to send follow-up part of a long message', {
+          chatId,
+          error: error.response?.data?.description || error.message
+        });
+      }
+    }
+
+    return { ...result, followUpMessageIds, followUpsFailed };
+  }
+
   /**
    * Send message to Telegram
    * @param {string} message - Message text to send
    * @param {string} parseMode - Parse mode (HTML, Markdown, etc.)
-   * @param {string|number} chatId - Optional chat ID (uses default if not provided)
+   * @param {string|number|Object} chatId - Optional chat target (uses default if not provided),
+   *   "chatId:threadId" posts into a forum topic
+   *   Messages over 4096 characters are split on line boundaries and sent as several messages
+   * @param {Object} options - Send options
+   * @param {string|number} options.replyToMessageId - Message in the same chat to reply to
    */
-  async sendMessage(message, parseMode = 'HTML', chatId = null) {
+  async sendMessage(message, parseMode = 'HTML', chatId = null, { replyToMessageId = null } = {}) {
     if (!this.botToken) {
       throw new Error('TELEGRAM_BOT_TOKEN must be set in environment variables');
     }
 
-    const targetChatId = chatId || this.chatId;
+    const { chatId: targetChatId, messageThreadId } = this.parseChatTarget(chatId || this.chatId);
     if (!targetChatId) {
       throw new Error('TELEGRAM_CHAT_ID must be set in environment variables or provided as parameter');
     }
 
+    const [firstPart, ...otherParts] = splitText('telegram', message, parseMode);
+    if (otherParts.length > 0) {
+      log('info', 'Message too long for one Telegram message, splitting', {
+        chatId: targetChatId,
+        messageLength: message.length,
+        parts: otherParts.length + 1
+      });
+      const result = await this.sendMessage(firstPart, parseMode, chatId, { replyToMessageId });
+      return this.sendFollowUps(result, otherParts, parseMode, chatId);
+    }
+
     try {
-      const response = await axios.post(`${this.apiUrl}/sendMessage`, {
+      const payload = {
         chat_id: targetChatId,
         text: message,
-        parse_mode: parseMode
-      });
+        parse_mode: parseMode,
+        ...this.getReplyFields(replyToMessageId)
+      };
+      if (messageThreadId) {
+        payload.message_thread_id = messageThreadId;
+      }
+
+      const response = await this.callApi('sendMessage', targetChatId, () => [payload]);
 
       log('info', 'Message sent successfully', {
         messageId: response.data.result?.message_id,
-        chatId: targetChatId
+        chatId: targetChatId,
+        messageThreadId
       });
 
       return {
@@ -154,7 +448,12 @@ _Trading signal from TradingView_`;
       const errorDescription = errorData.description || error.message;
       
       // Provide more helpful error messages for common issues
-      if (errorCode === 400 && errorDescription?.includes('chat not found')) {
+      if (errorCode === 429) {
+        log('warn', 'Telegram flood-wait not waited out', {
+          chatId: targetChatId,
+          retryAfter: error.retryAfter
+        });
+      } else if (errorCode === 400 && errorDescription?.includes('chat not found')) {
         log('warn', 'Chat not found - Bot may not be added to the group/channel', {
           chatId: targetChatId,
           solution: 'Ensure the bot is added to the group/channel and the chat ID is correct. For groups, add @userinfobot to get the chat ID.'
@@ -183,71 +482,115 @@ _Trading signal from TradingView_`;
 
   /**
    * Send photo with caption to Telegram
+   * @param {Buffer|string|Object} photo - Image buffer, URL/file_id, or object with buffer property
+   * @param {string} caption - Optional caption
+   * @param {string} parseMode - Parse mode (HTML, Markdown, etc.)
+   * @param {string|number|Object|Array} chatId - Optional chat target (uses default if not provided);
+   *   an array sends to every chat and returns the aggregate report from sendToChats
+   * Captions over 1024 characters are shortened, the rest follows as text messages
+   * @param {Object} options - Send options
+   * @param {string|number} options.replyToMessageId - Message to reply to (single chat only)
    */
-  async sendPhoto(photo, caption = '', parseMode = 'HTML') {
-    if (!this.botToken || !this.chatId) {
-      throw new Error('TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID must be set in environment variables');
+  async sendPhoto(photo, caption = '', parseMode = 'HTML', chatId = null, { replyToMessageId = null } = {}) {
+    if (Array.isArray(chatId)) {
+      // Upload the image once, later chats reuse Telegram's file_id
+      let photoSource = photo;
+      return await this.sendToChats(chatId, async (target) => {
+        const result = await this.sendPhoto(photoSource, caption, parseMode, target);
+        if (result.fileId && typeof photoSource !== 'string') {
+          photoSource = result.fileId;
+        }
+        return result;
+      });
+    }
+
+    if (!this.botToken) {
+      throw new Error('TELEGRAM_BOT_TOKEN must be set in environment variables');
+    }
+
+    const { chatId: targetChatId, messageThreadId } = this.parseChatTarget(chatId || this.chatId);
+    if (!targetChatId) {
+      throw new Error('TELEGRAM_CHAT_ID must be set in environment variables or provided as parameter');
     }
 
+    const { caption: photoCaption, followUps } = splitCaption('telegram', caption, parseMode);
+    const replyFields = this.getReplyFields(replyToMessageId);
+
     try {
       // Handle different photo formats
       if (Buffer.isBuffer(photo) || photo.buffer) {
         // For buffer, we need to send as multipart/form-data
         const FormData = require('form-data');
-        const form = new FormData();
-        form.append('chat_id', this.chatId);
-        
+
         // Handle buffer correctly - extract the actual buffer
         const actualBuffer = Buffer.isBuffer(photo) ? photo : photo.buffer;
-        form.append('photo', actualBuffer, {
-          filename: 'chart.png',
-          contentType: 'image/png'
-        });
-        if (caption) {
-          form.append('caption', caption);
-          form.append('parse_mode', parseMode);
-        }
 
-        const response = await axios.post(`${this.apiUrl}/sendPhoto`, form, {
-          headers: form.getHeaders()
+        // A form can only be sent once, build a new one for every flood-wait retry
+        const response = await this.callApi('sendPhoto', targetChatId, () => {
+          const form = new FormData();
+          form.append('chat_id', targetChatId);
+          if (messageThreadId) {
+            form.append('message_thread_id', String(messageThreadId));
+          }
+          form.append('photo', actualBuffer, {
+            filename: 'chart.png',
+            contentType: 'image/png'
+          });
+          if (photoCaption) {
+            form.append('caption', photoCaption);
+            form.append('parse_mode', parseMode);
+          }
+          Object.keys(replyFields).forEach(key => form.append(key, String(replyFields[key])));
+          return [form, { headers: form.getHeaders() }];
         });
 
         log('info', 'Photo sent successfully', {
           messageId: response.data.result?.message_id,
-          chatId: this.chatId
+          chatId: targetChatId,
+          messageThreadId
         });
 
-        return {
+        return this.sendFollowUps({
           success: true,
           messageId: response.data.result?.message_id,
+          fileId: response.data.result?.photo?.at(-1)?.file_id,
           data: response.data
-        };
+        }, followUps, parseMode, chatId);
       } else if (typeof photo === 'string') {
         // URL or file_id
-        const response = await axios.post(`${this.apiUrl}/sendPhoto`, {
-          chat_id: this.chatId,
+        const payload = {
+          chat_id: targetChatId,
           photo: photo,
-          caption: caption,
-          parse_mode: parseMode
-        });
+          caption: photoCaption,
+          parse_mode: parseMode,
+          ...replyFields
+        };
+        if (messageThreadId) {
+          payload.message_thread_id = messageThreadId;
+        }
+
+        const response = await this.callApi('sendPhoto', targetChatId, () => [payload]);
 
         log('info', 'Photo sent successfully', {
           messageId: response.data.result?.message_id,
-          chatId: this.chatId
+          chatId: targetChatId,
+          messageThreadId
         });
 
-        return {
+        return this.sendFollowUps({
           success: true,
           messageId: response.data.result?.message_id,
+          fileId: response.data.result?.photo?.at(-1)?.file_id,
           data: response.data
-        };
+        }, followUps, parseMode, chatId);
       } else {
         throw new Error('Invalid photo format. Expected Buffer, URL string, or object with buffer property');
       }
     } catch (error) {
       log('error', 'Failed to send photo', {
         error: error.response?.data || error.message,
-        status: error.response?.status
+        status: error.response?.status,
+        chatId: targetChatId
       });
       throw error;
     }
@@ -255,8 +598,26 @@ _Trading signal from TradingView_`;
 
   /**
    * Send formatted trading message to Telegram
+   * @param {Object} signalData - Trading signal data object
+   * @param {Object|Buffer} chartImage - Optional chart (buffer or object with buffer/url)
+   * @param {string|number|Object|Array} chatId - Optional chat target (uses default if not provided);
+   *   an array sends to every chat and returns the aggregate report from sendToChats
+   * @param {Object} options - Send options
+   * @param {string|number} options.replyToMessageId - Message to reply to (single chat only)
    */
-  async sendFormattedMessage(signalData, chartImage = null) {
+  async sendFormattedMessage(signalData, chartImage = null, chatId = null, options = {}) {
+    if (Array.isArray(chatId)) {
+      // Upload the chart once, later chats reuse Telegram's file_id
+      let chartSource = chartImage;
+      return await this.sendToChats(chatId, async (target) => {
+        const result = await this.sendFormattedMessage(signalData, chartSource, target);
+        if (result.fileId && chartSource && typeof chartSource === 'object' && !chartSource.url) {
+          chartSource = { url: result.fileId };
+        }
+        return result;
+      });
+    }
+
     // Use the simple format as in the provided code
     const message = this.formatTradingViewMessage(signalData);
     
@@ -264,25 +625,30 @@ _Trading signal from TradingView_`;
       try {
         // Try to send with chart image
         if (chartImage.buffer || Buffer.isBuffer(chartImage)) {
-          return await this.sendPhoto(chartImage, message);
+          return await this.sendPhoto(chartImage, message, 'HTML', chatId, options);
         } else if (chartImage.url) {
-          return await this.sendPhoto(chartImage.url, message);
+          return await this.sendPhoto(chartImage.url, message, 'HTML', chatId, options);
         } else {
           // Fallback to text only
           log('warn', 'Invalid chart image format, sending text only');
-          return await this.sendMessage(message);
+          return await this.sendMessage(message, 'HTML', chatId, options);
         }
       } catch (error) {
+        // Still flood-limited or the API is down: a text message would fail too, let the caller retry later
+        if (error.retryAfter || error.circuitOpen) {
+          throw error;
+        }
+
         // If sending photo fails, fallback to text message
         log('warn', 'Failed to send photo, falling back to text message', {
           error: error.message
         });
-        return await this.sendMessage(message);
+        return await this.sendMessage(message, 'HTML', chatId, options);
       }
     }
     
     // Send text message only
-    return await this.sendMessage(message);
+    return await this.sendMessage(message, 'HTML', chatId, options);
   }
 
   validateConfiguration() {
@@ -0,0 +1,175 @@
+const { normalizeAction, getActionDefinition } = require('./signalActions');
+
+// Parses plain-text TradingView alerts such as
+//   "BTCUSDT BUY @ 43250 TP=44000 SL=42800"
+// or line based messages such as
+//   "Symbol: BTCUSDT\nAction: BUY\nPrice: 43250"
+// into the same payload shape the JSON webhook accepts
+
+// Field name aliases (compared lowercased without separators) mapped to payload keys
+const DEFAULT_FIELD_ALIASES = {
+  ticker: 'symbol',
+  pair: 'symbol',
+  instrument: 'symbol',
+  side: 'action',
+  signal: 'action',
+  entry: 'price',
+  close: 'price',
+  stop: 'sl',
+  stoploss: 'sl',
+  takeprofit: 'tp',
+  target: 'tp'
+};
+
+const DEFAULT_TITLE = 'Yeni Islem Onerisi';
+
+// "Key: value" occupying a whole line (keys of up to three words, e.g. "Stop Loss: 42800")
+const LINE_PAIR_REGEX = /^\s*([A-Za-z][\w.-]*(?: [\w.-]+){0,2}):\s+(.+?)\s*$/;
+// Inline key=value tokens, values may be quoted
+const INLINE_PAIR_REGEX = /([A-Za-z][\w.]*)\s*=\s*("[^"]*"|'[^']*'|\S+)/g;
+const HAS_INLINE_PAIR_REGEX = /[A-Za-z][\w.]*\s*=\s*\S/;
+const NUMBER_REGEX = /^\d[\d,]*(\.\d+)?$/;
+const SYMBOL_REGEX = /^[A-Z0-9]+([:._/!-][A-Z0-9]+)*$/;
+
+const compactKey = (key) => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Parse "FIELD_ALIASES=ticker:symbol,entry:price" style configuration
+function parseAliasConfig(value) {
+  if (!value) {
+    return {};
+  }
+
+  return value.split(',').reduce((acc, entry) => {
+    const [alias, field] = entry.split(':').map(part => part && part.trim());
+    if (alias && field) {
+      acc[compactKey(alias)] = field.toLowerCase();
+    }
+    return acc;
+  }, {});
+}
+
+const unquote = (value) => value.replace(/^(["'])(.*)\1$/, '$2');
+const toNumberString = (value) => value.replace(/,/g, '');
+
+/**
+ * Create a text alert parser
+ * @param {Object} options - Parser options
+ * @param {Object} options.fieldAliases - Extra alias to field mappings, merged over the defaults
+ * @param {string} options.defaultTitle - Title used when the alert doesn't carry one
+ * @returns {Function} parse(text) returning a payload object or null
+ */
+function createTextAlertParser(options = {}) {
+  const fieldAliases = { ...DEFAULT_FIELD_ALIASES, ...(options.fieldAliases || {}) };
+  const defaultTitle = options.defaultTitle || DEFAULT_TITLE;
+
+  const resolveKey = (key) => {
+    const compact = compactKey(key);
+    return fieldAliases[compact] || key.trim().toLowerCase().replace(/[\s.-]+/g, '_');
+  };
+
+  return function parse(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return null;
+    }
+
+    const fields = {};
+    const freeText = [];
+
+    // Whole-line pairs first, remaining lines are scanned for inline pairs
+    text.split(/\r?\n/).forEach(line => {
+      if (!line.trim()) {
+        return;
+      }
+
+      const lineMatch = line.match(LINE_PAIR_REGEX);
+      if (lineMatch && !HAS_INLINE_PAIR_REGEX.test(lineMatch[2])) {
+        fields[resolveKey(lineMatch[1])] = unquote(lineMatch[2]);
+        return;
+      }
+
+      const remainder = line.replace(INLINE_PAIR_REGEX, (match, key, value) => {
+        fields[resolveKey(key)] = unquote(value);
+        return ' ';
+      });
+      if (remainder.trim()) {
+        freeText.push(remainder.trim());
+      }
+    });
+
+    // Pick action, symbol and price out of the free text
+    const tokens = freeText.join(' ').split(/\s+/).filter(Boolean);
+    const used = new Set();
+
+    if (!fields.action) {
+      const actionIndex = tokens.findIndex(token => normalizeAction(token));
+      if (actionIndex !== -1) {
+        fields.action = tokens[actionIndex].toUpperCase();
+        used.add(actionIndex);
+      }
+    }
+
+    if (!fields.symbol) {
+      const symbolIndex = tokens.findIndex((token, index) =>
+        !used.has(index) &&
+        SYMBOL_REGEX.test(token) &&
+        /[A-Z]/.test(token) &&
+        !normalizeAction(token)
+      );
+      if (symbolIndex !== -1) {
+        fields.symbol = tokens[symbolIndex];
+        used.add(symbolIndex);
+      }
+    }
+
+    if (fields.action && !fields.price) {
+      // Prefer "@ 43250" / "at 43250", otherwise the first number in the text
+      let priceIndex = tokens.findIndex((token, index) =>
+        (token === '@' || token.toLowerCase() === 'at') && NUMBER_REGEX.test(tokens[index + 1] || '')
+      );
+      if (priceIndex !== -1) {
+        used.add(priceIndex);
+        priceIndex++;
+      } else {
+        priceIndex = tokens.findIndex((token, index) => !used.has(index) && NUMBER_REGEX.test(token));
+      }
+      if (priceIndex !== -1) {
+        fields.price = tokens[priceIndex];
+        used.add(priceIndex);
+      }
+    }
+
+    if (fields.price !== undefined && NUMBER_REGEX.test(String(fields.price))) {
+      fields.price = toNumberString(String(fields.price));
+    }
+
+    const leftover = tokens.filter((token, index) => !used.has(index)).join(' ').trim();
+
+    if (fields.action) {
+      if (leftover && !fields.message) {
+        fields.message = leftover;
+      }
+      // Exits and updates get their own default title from the action vocabulary
+      const definition = getActionDefinition(normalizeAction(fields.action));
+      return definition && definition.type === 'entry' ? { title: defaultTitle, ...fields } : fields;
+    }
+
+    // No action: treat it as a simple text message when we know the symbol
+    if (fields.symbol) {
+      const { symbol, ...rest } = fields;
+      return { msg: leftover || text.trim(), symbol, ...rest };
+    }
+
+    return null;
+  };
+}
+
+// Parser configured from environment variables
+const parseTextAlert = createTextAlertParser({
+  fieldAliases: parseAliasConfig(process.env.TEXT_ALERT_FIELD_ALIASES),
+  defaultTitle: process.env.TEXT_ALERT_DEFAULT_TITLE
+});
+
+module.exports = {
+  createTextAlertParser,
+  parseTextAlert
+};
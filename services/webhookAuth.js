@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+
+// Logging utility
+const log = (level, message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] WEBHOOK_AUTH ${level.toUpperCase()}: ${message}`);
+  if (data) {
+    console.log(JSON.stringify(data, null, 2));
+  }
+};
+
+const DEFAULT_SOURCE = 'default';
+const SIGNATURE_HEADER = (process.env.WEBHOOK_SIGNATURE_HEADER || 'x-signature').toLowerCase();
+// Signed requests carry the Unix time (seconds) they were signed at, so a captured request can't be replayed later
+const TIMESTAMP_HEADER = (process.env.WEBHOOK_TIMESTAMP_HEADER || 'x-signature-timestamp').toLowerCase();
+const SIGNATURE_MAX_AGE_SECONDS = parseInt(process.env.WEBHOOK_SIGNATURE_MAX_AGE_SECONDS, 10) || 300;
+const SOURCE_HEADER = 'x-webhook-source';
+const PASSPHRASE_FIELD = 'passphrase';
+// Whapi can't sign its callbacks, the callback URL carries a token instead
+const WHAPI_WEBHOOK_TOKEN = process.env.WHAPI_WEBHOOK_TOKEN || '';
+// Accepting callbacks without a token has to be asked for, forged receipts would corrupt the funnel
+const WHAPI_ALLOW_UNAUTHENTICATED = process.env.WHAPI_WEBHOOK_ALLOW_UNAUTHENTICATED === 'true';
+
+// Keep the per-IP counters bounded so a scan from many addresses can't grow memory forever
+const MAX_TRACKED_IPS = 1000;
+
+const stats = {
+  accepted: 0,
+  rejected: 0,
+  byReason: {},
+  bySource: {},
+  byIp: {},
+  lastRejectedAt: null
+};
+
+/**
+ * Load configured secrets keyed by source
+ * WEBHOOK_SECRET is used for the default source, WEBHOOK_SECRETS holds
+ * comma-separated "source:secret" pairs for additional sources
+ * @returns {Object} Map of source name to secret
+ */
+function loadSecrets() {
+  const secrets = {};
+
+  if (process.env.WEBHOOK_SECRET) {
+    secrets[DEFAULT_SOURCE] = process.env.WEBHOOK_SECRET;
+  }
+
+  if (process.env.WEBHOOK_SECRETS) {
+    process.env.WEBHOOK_SECRETS.split(',').forEach(entry => {
+      const separatorIndex = entry.indexOf(':');
+      if (separatorIndex <= 0) {
+        log('warn', 'Ignoring malformed WEBHOOK_SECRETS entry (expected source:secret)');
+        return;
+      }
+      const source = entry.slice(0, separatorIndex).trim().toLowerCase();
+      const secret = entry.slice(separatorIndex + 1).trim();
+      if (source && secret) {
+        secrets[source] = secret;
+      }
+    });
+  }
+
+  return secrets;
+}
+
+const secrets = loadSecrets();
+
+if (!WHAPI_WEBHOOK_TOKEN) {
+  log('warn', WHAPI_ALLOW_UNAUTHENTICATED
+    ? 'WHAPI_WEBHOOK_TOKEN not set and WHAPI_WEBHOOK_ALLOW_UNAUTHENTICATED=true, Whapi events are accepted from anyone'
+    : 'WHAPI_WEBHOOK_TOKEN not set, Whapi events are rejected');
+}
+
+/**
+ * Check whether any webhook secret is configured
+ * @returns {boolean} True when requests must be authenticated
+ */
+function isAuthEnabled() {
+  return Object.keys(secrets).length > 0;
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Resolve which source a request claims to come from
+ * TradingView can't set custom headers, so the query string is accepted as well
+ */
+function resolveSource(req) {
+  const source = req.get(SOURCE_HEADER) || req.query?.source || DEFAULT_SOURCE;
+  return String(source).trim().toLowerCase();
+}
+
+/**
+ * Verify an HMAC-SHA256 signature header against the signing timestamp and the raw request body
+ * The signed content is "<timestamp>.<raw body>"
+ * @param {string} signature - Header value, either "<hex>" or "sha256=<hex>"
+ * @param {string} timestamp - Timestamp header value (Unix seconds)
+ * @param {Buffer|string} rawBody - Raw request body as received
+ * @param {string} secret - Shared secret for the source
+ * @returns {boolean} True when the signature matches
+ */
+function verifySignature(signature, timestamp, rawBody, secret) {
+  if (!signature || !timestamp || rawBody === undefined || rawBody === null) {
+    return false;
+  }
+
+  const provided = String(signature).trim().replace(/^sha256=/i, '').toLowerCase();
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${String(timestamp).trim()}.`)
+    .update(rawBody)
+    .digest('hex');
+
+  return safeEqual(provided, expected);
+}
+
+// Signing time within SIGNATURE_MAX_AGE_SECONDS of now, either way to allow for clock drift
+function isFreshTimestamp(timestamp) {
+  const seconds = Number(String(timestamp || '').trim());
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    return false;
+  }
+  return Math.abs(Date.now() / 1000 - seconds) <= SIGNATURE_MAX_AGE_SECONDS;
+}
+
+/**
+ * Authenticate a webhook request
+ * @param {Object} req - Express request (expects req.rawBody from the body parsers)
+ * @returns {Object} { valid, source, method, reason }
+ */
+function authenticateRequest(req) {
+  const source = resolveSource(req);
+  const secret = secrets[source];
+
+  if (!secret) {
+    return { valid: false, source, reason: 'unknown_source' };
+  }
+
+  const signature = req.get(SIGNATURE_HEADER);
+  if (signature) {
+    const timestamp = req.get(TIMESTAMP_HEADER);
+    if (!timestamp) {
+      return { valid: false, source, reason: 'missing_timestamp' };
+    }
+    if (!verifySignature(signature, timestamp, req.rawBody, secret)) {
+      return { valid: false, source, reason: 'invalid_signature' };
+    }
+    return isFreshTimestamp(timestamp)
+      ? { valid: true, source, method: 'hmac' }
+      : { valid: false, source, reason: 'expired_signature' };
+  }
+
+  const passphrase = req.body && typeof req.body === 'object' ? req.body[PASSPHRASE_FIELD] : undefined;
+  if (passphrase === undefined || passphrase === null || passphrase === '') {
+    return { valid: false, source, reason: 'missing_credentials' };
+  }
+
+  return safeEqual(passphrase, secret)
+    ? { valid: true, source, method: 'passphrase' }
+    : { valid: false, source, reason: 'invalid_passphrase' };
+}
+
+function recordRejection(ip, source, reason) {
+  stats.rejected++;
+  stats.byReason[reason] = (stats.byReason[reason] || 0) + 1;
+  stats.bySource[source] = (stats.bySource[source] || 0) + 1;
+
+  if (stats.byIp[ip] !== undefined || Object.keys(stats.byIp).length < MAX_TRACKED_IPS) {
+    stats.byIp[ip] = (stats.byIp[ip] || 0) + 1;
+  }
+
+  stats.lastRejectedAt = new Date().toISOString();
+}
+
+/**
+ * Express middleware that rejects unauthenticated webhook requests
+ * When no secret is configured every request is let through (legacy behaviour)
+ */
+function requireWebhookAuth(req, res, next) {
+  if (!isAuthEnabled()) {
+    return next();
+  }
+
+  const result = authenticateRequest(req);
+
+  if (!result.valid) {
+    recordRejection(req.ip, result.source, result.reason);
+    log('warn', 'Rejected unauthenticated webhook request', {
+      ip: req.ip,
+      source: result.source,
+      reason: result.reason,
+      path: req.originalUrl,
+      totalRejected: stats.rejected
+    });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or missing webhook credentials'
+    });
+  }
+
+  // Never forward the passphrase into formatted messages
+  if (req.body && typeof req.body === 'object') {
+    delete req.body[PASSPHRASE_FIELD];
+  }
+
+  stats.accepted++;
+  req.webhookSource = result.source;
+  next();
+}
+
+/**
+ * Express middleware for Whapi event callbacks (/whapi/events?token=...)
+ * The token may also be sent as "Authorization: Bearer <token>"
+ * Without WHAPI_WEBHOOK_TOKEN the endpoint is disabled, unless WHAPI_WEBHOOK_ALLOW_UNAUTHENTICATED=true
+ */
+function requireWhapiToken(req, res, next) {
+  if (!WHAPI_WEBHOOK_TOKEN) {
+    if (WHAPI_ALLOW_UNAUTHENTICATED) {
+      return next();
+    }
+    return res.status(503).json({ error: 'Whapi events disabled, set WHAPI_WEBHOOK_TOKEN to enable them' });
+  }
+
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const token = bearer ? bearer[1].trim() : req.query?.token;
+
+  if (token && safeEqual(token, WHAPI_WEBHOOK_TOKEN)) {
+    return next();
+  }
+
+  const reason = token ? 'invalid_token' : 'missing_credentials';
+  recordRejection(req.ip, 'whapi', reason);
+  log('warn', 'Rejected unauthenticated Whapi event', {
+    ip: req.ip,
+    reason,
+    path: req.path
+  });
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+/**
+ * Get authentication counters for monitoring
+ * @returns {Object} Accepted/rejected counts broken down by reason, source and IP
+ */
+function getAuthStats() {
+  return {
+    enabled: isAuthEnabled(),
+    sources: Object.keys(secrets),
+    accepted: stats.accepted,
+    rejected: stats.rejected,
+    byReason: { ...stats.byReason },
+    bySource: { ...stats.bySource },
+    byIp: { ...stats.byIp },
+    lastRejectedAt: stats.lastRejectedAt
+  };
+}
+
+module.exports = {
+  requireWebhookAuth,
+  requireWhapiToken,
+  authenticateRequest,
+  verifySignature,
+  safeEqual,
+  isAuthEnabled,
+  getAuthStats,
+  PASSPHRASE_FIELD
+};
@@ -1,4 +1,13 @@
 const axios = require('axios');
+const { formatHeadline } = require('./signalActions');
+const { formatStatsMessage } = require('./performance');
+const rateLimiter = require('./rateLimiter');
+const { mapWithConcurrency } = rateLimiter;
+const circuitBreaker = require('./circuitBreaker');
+const { splitText, splitCaption } = require('./messageSplitter');
+
+// Fails fast while Whapi is down instead of waiting for every request to time out
+const whapiBreaker = circuitBreaker.getBreaker('whatsapp');
 
 // Logging utility
 const log = (level, message, data = null) => {
@@ -9,6 +18,14 @@ const log = (level, message, data = null) => {
   }
 };
 
+// Whapi answers sends with { sent, message: { id } }; older responses had the ID at the top level.
+// Status callbacks (POST /whapi/events) refer to messages by this ID
+const getWhapiMessageId = (data) => data?.message?.id || data?.id || data?.message_id;
+
+// Parallel sends when sendFormattedMessageToPerson sends one message to several numbers directly,
+// separate from the queue's OUTBOUND_CONCURRENCY
+const SEND_CONCURRENCY = Math.max(1, parseInt(process.env.WHATSAPP_SEND_CONCURRENCY, 10) || 5);
+
 // WhatsApp service using Whapi API
 class WhatsAppService {
   constructor() {
@@ -41,12 +58,12 @@ class WhatsAppService {
 
       log('info', 'Fetching WhatsApp groups from Whapi API');
 
-      const response = await axios.get(url, {
+      const response = await whapiBreaker.exec(() => axios.get(url, {
         headers: headers,
         params: {
           token: this.whapiToken
         }
-      });
+      }));
 
       if (response.status === 200 && response.data) {
         const groups = Array.isArray(response.data) ? response.data : [];
@@ -78,13 +95,58 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Send the remaining parts of a split message or caption, in order
+   * A failed part is logged and counted, it doesn't undo the parts already sent
+   * @param {Object} result - Result of the first part (text or image)
+   * @param {string} phoneNumber - Phone number or group ID
+   * @param {Array<string>} parts - Remaining parts
+   * @returns {Promise<Object>} The first result with followUpMessageIds and followUpsFailed added
+   */
+  async sendFollowUps(result, phoneNumber, parts) {
+    if (parts.length === 0) {
+      return result;
+    }
+
+    const followUpMessageIds = [];
+    let followUpsFailed = 0;
+    for (const part of parts) {
+      try {
+        const partResult = await this.sendMessageToPerson(phoneNumber, part);
+        followUpMessageIds.push(partResult.messageId);
+      } catch (error) {
+        followUpsFailed++;
+        log('error', 'Failed to send follow-up part of a long message', {
+          phoneNumber,
+          error: error.message
+        });
+      }
+    }
+
+    return { ...result, followUpMessageIds, followUpsFailed };
+  }
+
   /**
    * Send a message to a specific person using Whapi API
+   * Messages over 4096 characters are split on line boundaries and sent as several messages
    * @param {string} phoneNumber - Phone number in international format without + (e.g., '15056482143')
    * @param {string} message - Message text to send
+   * @param {Object} options - Send options
+   * @param {string} options.quoted - Whapi message ID to quote, the message is sent as a reply to it
    * @returns {Promise<Object>} Result object with success status and message details
    */
-  async sendMessageToPerson(phoneNumber, message) {
+  async sendMessageToPerson(phoneNumber, message, { quoted = null } = {}) {
+    const [firstPart, ...otherParts] = splitText('whatsapp', message || '', 'Markdown');
+    if (otherParts.length > 0) {
+      log('info', 'Message too long for one WhatsApp message, splitting', {
+        phoneNumber,
+        messageLength: message.length,
+        parts: otherParts.length + 1
+      });
+      const result = await this.sendMessageToPerson(phoneNumber, firstPart, { quoted });
+      return this.sendFollowUps(result, phoneNumber, otherParts);
+    }
+
     try {
       if (!this.whapiToken) {
         throw new Error('WHAPI_TOKEN not configured');
@@ -108,17 +170,21 @@ class WhatsAppService {
         to: cleanPhoneNumber,
         body: message
       };
+      if (quoted) {
+        data.quoted = quoted;
+      }
 
       log('info', 'Sending message to person via Whapi API', {
-        phoneNumber: cleanPhoneNumber
+        phoneNumber: cleanPhoneNumber,
+        quoted
       });
 
-      const response = await axios.post(url, data, {
+      const response = await whapiBreaker.exec(() => axios.post(url, data, {
         headers: headers,
         params: {
           token: this.whapiToken
         }
-      });
+      }));
 
       if (response.status === 200) {
         log('info', 'Message sent successfully', {
@@ -129,7 +195,7 @@ class WhatsAppService {
         return {
           success: true,
           phoneNumber: cleanPhoneNumber,
-          messageId: response.data?.id || response.data?.message_id,
+          messageId: getWhapiMessageId(response.data),
           response: response.data
         };
       } else {
@@ -185,7 +251,7 @@ class WhatsAppService {
     const formattedPrice = this.formatNumber(price);
     
     // Build main message with title, datetime, action, symbol, price
-    let message = `${title}\n${datetime || new Date().toISOString()}\n\n${action} ${symbol} ${formattedPrice}`;
+    let message = `${title}\n${datetime || new Date().toISOString()}\n\n${formatHeadline('whatsapp', action, symbol, formattedPrice)}`;
     
     // Add all other properties as KEY: VALUE (preserve original order)
     const excludedKeys = ['title', 'datetime', 'action', 'symbol', 'price'];
@@ -207,14 +273,29 @@ class WhatsAppService {
     return message;
   }
 
+  /**
+   * Format a performance report as a stats message
+   * @param {Object} report - Report from performance.getReport
+   * @param {Object} options - { title, maxGroups }
+   * @returns {string} Message text
+   */
+  formatStatsMessage(report, options = {}) {
+    return formatStatsMessage('whatsapp', report, options);
+  }
+
   /**
    * Send an image with caption to a specific person using Whapi API
    * @param {string} phoneNumber - Phone number in international format without + (e.g., '15056482143')
    * @param {string} imageUrl - Public URL of the image
-   * @param {string} caption - Caption text for the image
+   * @param {string} caption - Caption text for the image; over 1024 characters it is shortened
+   *   and the rest follows as text messages
+   * @param {Object} options - Send options
+   * @param {string} options.quoted - Whapi message ID to quote, the image is sent as a reply to it
    * @returns {Promise<Object>} Result object with success status and message details
    */
-  async sendImageToPerson(phoneNumber, imageUrl, caption = '') {
+  async sendImageToPerson(phoneNumber, imageUrl, caption = '', { quoted = null } = {}) {
+    const { caption: imageCaption, followUps } = splitCaption('whatsapp', caption || '', 'Markdown');
+
     try {
       if (!this.whapiToken) {
         throw new Error('WHAPI_TOKEN not configured');
@@ -261,21 +342,25 @@ class WhatsAppService {
       const data = {
         to: cleanPhoneNumber,
         media: imageUrl,
-        caption: caption || ''
+        caption: imageCaption
       };
+      if (quoted) {
+        data.quoted = quoted;
+      }
 
       log('info', 'Sending image to person via Whapi API', {
         phoneNumber: phoneNumber,
         cleaned: cleanPhoneNumber,
-        imageUrl: imageUrl
+        imageUrl: imageUrl,
+        quoted
       });
 
-      const response = await axios.post(url, data, {
+      const response = await whapiBreaker.exec(() => axios.post(url, data, {
         headers: headers,
         params: {
           token: this.whapiToken
         }
-      });
+      }));
 
       if (response.status === 200) {
         log('info', 'Image sent successfully', {
@@ -283,12 +368,12 @@ class WhatsAppService {
           response: response.data
         });
 
-        return {
+        return this.sendFollowUps({
           success: true,
           phoneNumber: cleanPhoneNumber,
-          messageId: response.data?.id || response.data?.message_id,
+          messageId: getWhapiMessageId(response.data),
           response: response.data
-        };
+        }, phoneNumber, followUps);
       } else {
         throw new Error(`Unexpected status code: ${response.status}`);
       }
@@ -383,8 +468,11 @@ class WhatsAppService {
         results: []
       };
 
-      for (const phoneNumber of numbersArray) {
+      // Send in parallel within the provider and per-number rate limits, results keep input order
+      results.results = await mapWithConcurrency(numbersArray, SEND_CONCURRENCY, async (phoneNumber) => {
         try {
+          await rateLimiter.acquire('whatsapp', phoneNumber);
+
           let result;
           if (imageUrl) {
             result = await this.sendImageToPerson(phoneNumber, imageUrl, message);
@@ -393,31 +481,31 @@ class WhatsAppService {
           }
           
           results.succeeded++;
-          results.results.push({
-            phoneNumber: phoneNumber,
-            success: true,
-            messageId: result.messageId,
-            response: result.response
-          });
-          
           log('info', 'Message sent successfully to number', {
             phoneNumber: phoneNumber,
             messageId: result.messageId
           });
+
+          return {
+            phoneNumber: phoneNumber,
+            success: true,
+            messageId: result.messageId,
+            response: result.response
+          };
         } catch (error) {
           results.failed++;
-          results.results.push({
+          log('error', 'Failed to send message to number', {
             phoneNumber: phoneNumber,
-            success: false,
             error: error.message
           });
-          
-          log('error', 'Failed to send message to number', {
+
+          return {
             phoneNumber: phoneNumber,
+            success: false,
             error: error.message
-          });
+          };
         }
-      }
+      });
 
       // Consider it successful if at least one message was sent
       results.success = results.succeeded > 0;